@@ -1,22 +1,451 @@
 (function ( $ ) {
 
-    function isEmptyNode(node) {
-        return node.hasOwnProperty('empty') && node.empty;
+    /**
+     * Pseudo-nodes are shown in the tree, but don't represent
+     * files: `{empty: true}` is shown for empty directories and
+     * `{more: true, cursor: <cursor>, ...}` for directories which
+     * are loaded partially (see `ServiceDataProvider.listMore`)
+     */
+    function isPseudoNode(node) {
+        return !node.hasOwnProperty('fileData');
+    }
+
+    /**
+     * Returns paths of all ancestors of file with specified
+     * path, starting from root (which has empty path)
+     */
+    function parentPaths(path) {
+        if (path === '') {
+            return [];
+        }
+        var result = [''];
+        var parts = path.split('/');
+        for (var i = 1; i < parts.length; i++) {
+            result.push(parts.slice(0, i).join('/'));
+        }
+        return result;
+    }
+
+    /**
+     * Checks whether object has own property with specified
+     * name, works for objects without prototype too
+     */
+    function hasOwn(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    }
+
+    function escapeRegExp(string) {
+        return string.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+    }
+
+    /**
+     * Creates function which finds parts of file name
+     * matching search query. Supported modes:
+     * - `substring` - name contains query
+     * - `glob` - the whole name matches pattern with `*`
+     *   and `?` wildcards
+     * - `regex` - name matches regular expression
+     * All modes are case-insensitive. Created function returns
+     * array of `[start, end]` ranges of matched characters or
+     * `null` if name doesn't match query. Throws `SyntaxError`
+     * if query isn't valid regular expression.
+     */
+    function createNameMatcher(query, mode) {
+        var source;
+        switch (mode) {
+            case 'regex':
+                source = query;
+                break;
+            case 'glob':
+                source = '^' + query.split('').map(function(c) {
+                    if (c === '*') return '.*';
+                    if (c === '?') return '.';
+                    return escapeRegExp(c);
+                }).join('') + '$';
+                break;
+            default:
+                source = escapeRegExp(query);
+        }
+        var regex = new RegExp(source, 'gi');
+        return function(name) {
+            var ranges = [];
+            var matched = false;
+            var match;
+            regex.lastIndex = 0;
+            while ((match = regex.exec(name)) != null) {
+                matched = true;
+                if (match[0].length == 0) {
+                    // Avoid infinite loop on empty matches
+                    if (++regex.lastIndex > name.length) break;
+                    continue;
+                }
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+            return matched ? ranges : null;
+        }
+    }
+
+    /**
+     * Checks whether file with path `ancestor` contains
+     * (directly or not) file with path `path`
+     */
+    function isAncestor(ancestor, path) {
+        if (ancestor === '') {
+            return path !== '';
+        }
+        return path.indexOf(ancestor + '/') == 0;
+    }
+
+    /**
+     * Creates tree node for `FileData` without loaded children
+     */
+    function createFileNode(fileData) {
+        var node = {fileData: fileData};
+        if (fileData.expandable) {
+            node.children = [];
+        }
+        return node;
+    }
+
+    /**
+     * Returns copy of tree node moved to `newPath` (its name is
+     * taken from the path), paths of all its loaded descendants
+     * are changed accordingly
+     */
+    function rebaseNode(node, newPath) {
+        var oldPath = node.fileData.path;
+        function copy(node) {
+            if (isPseudoNode(node)) {
+                return node;
+            }
+            var result = {
+                fileData: $.extend({}, node.fileData, {
+                    path: newPath + node.fileData.path.substring(oldPath.length)
+                })
+            };
+            if (node.children != null) {
+                result.children = node.children.map(copy);
+            }
+            return result;
+        }
+        var result = copy(node);
+        result.fileData.name = newPath.substring(newPath.lastIndexOf('/') + 1);
+        return result;
+    }
+
+    /**
+     * Archives are expandable files which aren't directories
+     */
+    function isArchive(fileData) {
+        return fileData.expandable && fileData.type !== 'directory';
+    }
+
+    function isDigit(code) {
+        return code >= 48 && code <= 57;
+    }
+
+    function isAsciiLetter(code) {
+        code |= 0x20; // Lower case
+        return code >= 97 && code <= 122;
+    }
+
+    /**
+     * Compares names in natural order (`file2` goes before
+     * `file10`) using current locale
+     */
+    var compareNames = typeof Intl !== 'undefined'
+        ? (function() {
+            var naturalCompare = new Intl.Collator(undefined, {numeric: true, sensitivity: 'base'}).compare;
+            var plainCompare = new Intl.Collator(undefined, {sensitivity: 'base'}).compare;
+            // Numeric collation is several times slower, so it's used
+            // only if names can be ordered differently without it
+            return function(first, second) {
+                var length = Math.min(first.length, second.length);
+                var i = 0;
+                while (i < length && first.charCodeAt(i) === second.charCodeAt(i)) {
+                    i++;
+                }
+                if (i == length) {
+                    return naturalCompare(first, second);
+                }
+                var firstCode = first.charCodeAt(i);
+                var secondCode = second.charCodeAt(i);
+                if (isDigit(firstCode) && isDigit(secondCode)) {
+                    // Numbers which differ are compared by value
+                    var start = i;
+                    while (start > 0 && isDigit(first.charCodeAt(start - 1))) {
+                        start--;
+                    }
+                    while (start < i && first.charCodeAt(start) === 48) {
+                        start++; // Leading zeros
+                    }
+                    var firstEnd = i;
+                    var secondEnd = i;
+                    while (isDigit(first.charCodeAt(firstEnd))) {
+                        firstEnd++;
+                    }
+                    while (isDigit(second.charCodeAt(secondEnd))) {
+                        secondEnd++;
+                    }
+                    if (start < i || (firstCode !== 48 && secondCode !== 48)) {
+                        return firstEnd != secondEnd ? firstEnd - secondEnd : firstCode - secondCode;
+                    }
+                } else if (isAsciiLetter(firstCode) && isAsciiLetter(secondCode)
+                        && (firstCode | 0x20) !== (secondCode | 0x20)) {
+                    // Names differ before any different numbers
+                    return plainCompare(first, second);
+                }
+                return naturalCompare(first, second);
+            };
+        })()
+        : function(first, second) {
+            return first.localeCompare(second);
+        };
+
+    function modificationTime(fileData) {
+        return fileData.modified != null ? new Date(fileData.modified).getTime() || 0 : 0;
+    }
+
+    /**
+     * Functions comparing `FileData` by keys of `sort` option
+     */
+    var fileDataComparators = {
+        name: function(first, second) {
+            return compareNames(first.name, second.name);
+        },
+        size: function(first, second) {
+            return (first.size || 0) - (second.size || 0);
+        },
+        compressedSize: function(first, second) {
+            return (first.compressedSize || 0) - (second.compressedSize || 0);
+        },
+        modified: function(first, second) {
+            return modificationTime(first) - modificationTime(second);
+        },
+        type: function(first, second) {
+            return compareNames(first.type, second.type);
+        }
+    };
+
+    /**
+     * Returns human-readable size like `1.5 KB`
+     */
+    function formatSize(size) {
+        if (size == null) {
+            return '';
+        }
+        var units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        var unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        var digits = unit > 0 && size < 10 ? 1 : 0;
+        return size.toFixed(digits) + ' ' + units[unit];
+    }
+
+    /**
+     * Returns date (string or timestamp) in current locale,
+     * recent dates can be formatted relatively to current time
+     * (like `5 min ago`)
+     */
+    function formatDate(value, relative) {
+        if (value == null) {
+            return '';
+        }
+        var date = new Date(value);
+        if (isNaN(date.getTime())) {
+            return String(value);
+        }
+        var seconds = (Date.now() - date.getTime()) / 1000;
+        if (!relative || seconds < 0 || seconds >= 7 * 24 * 3600) {
+            return relative ? date.toLocaleDateString() : date.toLocaleString();
+        }
+        if (seconds < 60) {
+            return 'just now';
+        }
+        if (seconds < 3600) {
+            return Math.floor(seconds / 60) + ' min ago';
+        }
+        if (seconds < 24 * 3600) {
+            return Math.floor(seconds / 3600) + ' h ago';
+        }
+        var days = Math.floor(seconds / (24 * 3600));
+        return days == 1 ? 'yesterday' : days + ' days ago';
+    }
+
+    /**
+     * Columns which can be referred in `columns` option by name
+     */
+    var columnTypes = {
+        size: {
+            label: 'Size',
+            width: 80,
+            align: 'right',
+            render: function(fileData) {
+                return fileData.type === 'directory' ? '' : formatSize(fileData.size);
+            }
+        },
+        compressedSize: {
+            label: 'Compressed',
+            width: 90,
+            align: 'right',
+            render: function(fileData) {
+                return formatSize(fileData.compressedSize);
+            }
+        },
+        modified: {
+            label: 'Modified',
+            width: 150,
+            render: function(fileData, settings) {
+                return formatDate(fileData.modified, settings.dateFormat === 'relative');
+            },
+            title: function(fileData) {
+                return formatDate(fileData.modified, false);
+            }
+        },
+        type: {
+            label: 'Type',
+            width: 150,
+            render: function(fileData) {
+                return fileData.type;
+            }
+        }
+    };
+
+    /**
+     * Creates column for `columns` option entry: name of column
+     * type or `attributes.<name>` for attribute of `FileData`
+     * are accepted along with column objects
+     */
+    function createColumn(column) {
+        if (typeof column !== 'string') {
+            return $.extend({width: 120}, column);
+        }
+        if (columnTypes.hasOwnProperty(column)) {
+            return $.extend({id: column, sortBy: column}, columnTypes[column]);
+        }
+        var attribute = column.replace(/^attributes\./, '');
+        return {
+            id: column,
+            label: attribute,
+            width: 120,
+            render: function(fileData) {
+                var value = fileData.attributes != null ? fileData.attributes[attribute] : null;
+                return value != null ? String(value) : '';
+            }
+        };
     }
 
     /**
-     * Sorting function for array of tree nodes.
-     * Directories are less then archives and
-     * archives are less then anything else.
+     * Creates sorting function for array of tree nodes without
+     * pseudo-nodes (see `sort` option). If folders must go first,
+     * directories are less then archives and archives are less
+     * then anything else. Files which are equal by sort key are
+     * sorted by name.
      */
-    function sortNodes(first, second) {
+    function createNodeComparator(sort) {
+        var compare = typeof sort.comparator === 'function'
+            ? sort.comparator
+            : fileDataComparators[sort.by] || fileDataComparators.name;
+        var direction = sort.order === 'desc' ? -1 : 1;
         function weight(node) {
             if (node.fileData.type === 'directory') {
                 return 2;
             }
             return node.fileData.expandable ? 1 : 0;
         }
-        return weight(second) - weight(first);
+        return function(first, second) {
+            if (sort.foldersFirst) {
+                var difference = weight(second) - weight(first);
+                if (difference != 0) {
+                    return difference;
+                }
+            }
+            var result = compare(first.fileData, second.fileData)
+                || fileDataComparators.name(first.fileData, second.fileData);
+            return direction * result;
+        };
+    }
+
+    function createRootNode() {
+        return {
+            fileData: {path: '', name: '', type: 'directory', expandable: true},
+            children: []
+        };
+    }
+
+    /**
+     * Checks whether restored tree node is well-formed,
+     * so that it can be rendered
+     */
+    function isValidNode(node) {
+        if (node == null || typeof node !== 'object') {
+            return false;
+        }
+        if (isPseudoNode(node)) {
+            return true;
+        }
+        var fileData = node.fileData;
+        if (fileData == null
+                || typeof fileData.path !== 'string'
+                || typeof fileData.name !== 'string') {
+            return false;
+        }
+        return !fileData.expandable
+            || Array.isArray(node.children) && node.children.every(isValidNode);
+    }
+
+    /**
+     * Returns parameters stored in location hash
+     * as `#name=value&otherName=otherValue`
+     */
+    function getHashParameters() {
+        var result = {};
+        window.location.hash.replace(/^#/, '').split('&').forEach(function(part) {
+            if (part === '') {
+                return;
+            }
+            var separator = part.indexOf('=');
+            var name = separator < 0 ? part : part.substring(0, separator);
+            var value = separator < 0 ? '' : part.substring(separator + 1);
+            try {
+                result[decodeURIComponent(name)] = decodeURIComponent(value);
+            } catch (e) {
+                // Malformed parameter is ignored
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Sets (or removes if value is `null`) parameter stored in
+     * location hash keeping the others. History entry is replaced
+     * unless `push` is `true`
+     */
+    function setHashParameter(name, value, push) {
+        var parameters = getHashParameters();
+        if (value == null) {
+            delete parameters[name];
+        } else {
+            parameters[name] = value;
+        }
+        function encode(string) {
+            // Keep paths readable
+            return encodeURIComponent(string).replace(/%2F/g, '/').replace(/%2C/g, ',');
+        }
+        var hash = Object.keys(parameters).map(function(key) {
+            return encode(key) + '=' + encode(parameters[key]);
+        }).join('&');
+        if (window.location.hash.replace(/^#/, '') === hash) {
+            return;
+        }
+        var url = window.location.pathname + window.location.search + (hash !== '' ? '#' + hash : '');
+        if (push) {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(window.history.state, '', url);
+        }
     }
 
     /**
@@ -29,27 +458,59 @@
         function IndexedFileDataTree() {
             this.root = root;
 
-            // Index tree for easier access to nodes by path
-            var pathToNodeIndex = {}
+            // Index tree for easier access to nodes by path. Children
+            // of node are indexed only when some of them is requested,
+            // so that huge directories are added and removed quickly
+            var pathToNodeIndex = Object.create(null); // Any path can be a key
+            var unindexed = Object.create(null); // Nodes which children aren't indexed yet
             function index(node) {
-                if (isEmptyNode(node)) {
+                if (isPseudoNode(node)) {
                     return; // No need to index that
                 }
                 pathToNodeIndex[node.fileData.path] = node;
-                if (node.fileData.expandable)
-                    node.children.forEach(function(e) {
-                        index(e);
-                    });
+                if (node.fileData.expandable && node.children.length > 0)
+                    unindexed[node.fileData.path] = node;
+            }
+            function indexChildren(path) {
+                var node = unindexed[path];
+                delete unindexed[path];
+                node.children.forEach(index);
             }
             function removeFromIndex(node) {
-                if (isEmptyNode) {
+                if (isPseudoNode(node)) {
                     return;
                 }
                 delete pathToNodeIndex[node.fileData.path];
-                if (node.fileData.expandable)
-                    node.children.forEach(function(e) {
-                        removeFromIndex(e);
+                removeChildrenFromIndex(node);
+            }
+            function removeChildrenFromIndex(node) {
+                if (hasOwn(unindexed, node.fileData.path)) {
+                    delete unindexed[node.fileData.path];
+                } else if (node.fileData.expandable) {
+                    node.children.forEach(removeFromIndex);
+                }
+            }
+            function lookup(path) {
+                if (!hasOwn(pathToNodeIndex, path)) {
+                    // Node can be found among children of its ancestors
+                    parentPaths(path).forEach(function(parentPath) {
+                        if (hasOwn(unindexed, parentPath)) {
+                            indexChildren(parentPath);
+                        }
                     });
+                }
+                if (!hasOwn(pathToNodeIndex, path)) {
+                    // Path isn't derived from paths of ancestors
+                    indexAll();
+                }
+                return hasOwn(pathToNodeIndex, path) ? pathToNodeIndex[path] : null;
+            }
+            function indexAll() {
+                var paths = Object.keys(unindexed);
+                while (paths.length > 0) {
+                    paths.forEach(indexChildren);
+                    paths = Object.keys(unindexed); // Children of indexed nodes
+                }
             }
             index(this.root);
 
@@ -59,7 +520,7 @@
              * Get node by file path
              */
             this.get = function(path) {
-                var node = pathToNodeIndex[path];
+                var node = lookup(path);
                 if (node == null) {
                     console.error("No node was found by path: " + path);
                     return null;
@@ -71,8 +532,10 @@
              * Add node to node with specific file path
              */
             this.add = function(parentPath, node) {
-                var parentNode = get(parentPath);
-                index(node);
+                var parentNode = this.get(parentPath);
+                if (!hasOwn(unindexed, parentPath)) {
+                    index(node);
+                }
                 parentNode.children.push(node);
             }
 
@@ -82,10 +545,11 @@
              */
             this.set = function(parentPath, nodes) {
                 var node = this.get(parentPath);
-                if (node.fileData.expandable)
-                    node.children.forEach(removeFromIndex);
+                removeChildrenFromIndex(node);
                 node.children = nodes;
-                nodes.forEach(index);
+                if (nodes.length > 0) {
+                    unindexed[parentPath] = node;
+                }
                 return node;
             }
 
@@ -95,270 +559,6210 @@
              */
             this.clear = function(parentPath) {
                 var node = this.get(parentPath);
-                if (node.fileData.expandable)
-                    node.children.forEach(removeFromIndex);
+                removeChildrenFromIndex(node);
                 node.children = [];
             }
+
+            /**
+             * Checks whether node with specific file path exists
+             */
+            this.has = function(path) {
+                return lookup(path) != null;
+            }
+
+            /**
+             * Returns all indexed nodes satisfying predicate
+             */
+            this.find = function(predicate) {
+                indexAll();
+                var result = [];
+                for (var path in pathToNodeIndex) {
+                    if (predicate(pathToNodeIndex[path])) {
+                        result.push(pathToNodeIndex[path]);
+                    }
+                }
+                return result;
+            }
         }
         return new IndexedFileDataTree();
     }
 
     /**
-     * State holder which uses `window.localStorage` to
-     * store current UI state (see `defaultConfig` for
-     * details)
+     * Version of format of stored state (see `encodeState`)
      */
-    var getLocalStorageStateHolder = function(id) {
-        function LocalStorageStateHolder() {
-            var storageKey = 'ru.kozobrodov.fileTree$' + id
-            // Init root node
-            function initState() {
-                var rootNode = {
-                    fileData: {path: '', name: '', type: 'directory', expandable: true},
-                    children: []
-                };
-                localStorage.setItem(storageKey, JSON.stringify(rootNode));
-                return rootNode;
-            }
-            var stateString = localStorage.getItem(storageKey);
-            if (stateString != null && typeof stateString != 'undefined') {
-                this.tree = getIndexedFileDataTree(JSON.parse(stateString));
-            } else {
-                this.tree = getIndexedFileDataTree(initState());
-            }
-
-            this.saveState = function() {
-                localStorage.setItem(
-                    storageKey,
-                    JSON.stringify(this.getCurrentState())
-                );
-            }
-
-            this.addNodes = function(path, children) {
-                var updatedNode = this.tree.set(path, children);
-                this.saveState();
-                return updatedNode;
-            }
+    var stateVersion = 2;
 
-            this.clearNode = function(path) {
-                this.tree.clear(path);
-                this.saveState();
+    /**
+     * Migrations of stored state, `stateMigrations[n]` converts
+     * state of version `n` to version `n + 1`
+     */
+    var stateMigrations = {
+        // Version 1 is the whole state tree without version field
+        1: function(root) {
+            if (!isValidNode(root) || root.fileData.path !== '') {
+                throw new Error('Malformed state tree');
             }
+            return encodeState(getIndexedFileDataTree(root), {});
+        }
+    };
 
-            this.getCurrentState = function() {
-                return this.tree.root;
+    /**
+     * Encodes state tree in compact form for storing. Only expanded
+     * nodes are stored, every one of them as:
+     *
+     * ```
+     * "<path>": {t: <time_of_last_use>, c: <array_of_children>}
+     * ```
+     *
+     * Child is stored as `[name, type, expandable, path, extra]`,
+     * where `expandable` is `1` or `0`, `path` is omitted (or `0`)
+     * if it's `<parent_path>/<name>` and `extra` holds other `FileData`
+     * fields if there are any. Pseudo-nodes are stored as is.
+     * `usedAt` maps paths of nodes to time when they were expanded.
+     */
+    function encodeState(tree, usedAt) {
+        // Paths like `__proto__` must be kept as is
+        var nodes = Object.create(null);
+        (function walk(node) {
+            if (isPseudoNode(node) || !node.fileData.expandable || node.children.length == 0) {
+                return;
             }
-        }
-        return new LocalStorageStateHolder();
+            var path = node.fileData.path;
+            nodes[path] = {
+                t: (hasOwn(usedAt, path) && usedAt[path]) || 0,
+                c: node.children.map(function(child) {
+                    if (isPseudoNode(child)) {
+                        return child;
+                    }
+                    var fileData = child.fileData;
+                    var encoded = [fileData.name, fileData.type, fileData.expandable ? 1 : 0];
+                    var extra = null;
+                    for (var key in fileData) {
+                        if (['path', 'name', 'type', 'expandable'].indexOf(key) < 0) {
+                            extra = extra || {};
+                            extra[key] = fileData[key];
+                        }
+                    }
+                    var derivedPath = path === '' ? fileData.name : path + '/' + fileData.name;
+                    if (fileData.path !== derivedPath || extra != null) {
+                        encoded.push(fileData.path !== derivedPath ? fileData.path : 0);
+                    }
+                    if (extra != null) {
+                        encoded.push(extra);
+                    }
+                    return encoded;
+                })
+            };
+            node.children.forEach(walk);
+        })(tree.root);
+        return {version: stateVersion, nodes: nodes};
     }
 
     /**
-     * Data provider which loads the full directory
-     * structures as JSON file
+     * Decodes stored state (see `encodeState`) migrating it from
+     * older versions if needed. Returns `{tree: <IndexedFileDataTree>,
+     * usedAt: <time_of_use_by_path>}` or `null` if state is malformed
      */
-    var getJsonDataProvider = function(jsonPath) {
-        function JsonDataProvider() {
-            this.load = function(callback) {
-                $.ajax({
-                    url: jsonPath,
-                    dataType: 'json',
-                    context : this,
-                    success: function (data) {
-                        this.tree = getIndexedFileDataTree(data);
-                        callback();
+    function decodeState(data) {
+        try {
+            var version = data.version || 1; // The first one had no version
+            if (version > stateVersion) {
+                return null; // Written by newer version of the plugin
+            }
+            for (; version < stateVersion; version++) {
+                data = stateMigrations[version](data);
+            }
+            var usedAt = Object.create(null);
+            var root = createRootNode();
+            (function fill(node) {
+                var path = node.fileData.path;
+                if (!hasOwn(data.nodes, path)) {
+                    return; // Node isn't expanded
+                }
+                var entry = data.nodes[path];
+                usedAt[path] = entry.t;
+                node.children = entry.c.map(function(child) {
+                    if (!Array.isArray(child)) {
+                        return child;
+                    }
+                    var fileData = $.extend({}, child[4], {
+                        path: child[3] || (path === '' ? child[0] : path + '/' + child[0]),
+                        name: child[0],
+                        type: child[1],
+                        expandable: child[2] == 1
+                    });
+                    var decoded = {fileData: fileData};
+                    if (fileData.expandable) {
+                        decoded.children = [];
+                        fill(decoded);
                     }
+                    return decoded;
                 });
+            })(root);
+            if (!isValidNode(root)) {
+                return null;
             }
-
-            this.list = function(path, callback) {
-                var data = this.tree.get(path).children;
-                data.sort(sortNodes);
-                callback(data);
-            }
-
+            return {tree: getIndexedFileDataTree(root), usedAt: usedAt};
+        } catch (e) {
+            return null;
         }
-        return new JsonDataProvider();
+    }
+
+    function isQuotaExceededError(e) {
+        return e != null && (e.name === 'QuotaExceededError'
+            || e.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+            || e.code == 22);
     }
 
     /**
-     * Data provider which uses remote service to get
-     * data about files
+     * State holder which uses Web Storage (`window.localStorage`
+     * or `window.sessionStorage`) to store current UI state (see
+     * `defaultConfig` for details). If `sync` is `true`, changes
+     * made by other browser tabs are merged into stored state
+     * and passed to subscribed listener (see `syncTabs`)
      */
-    var getServiceDataProvider = function(url) {
-        function ServiceDataProvider() {
-            this.load = function(callback) {callback();}
+    var getWebStorageStateHolder = function(storage, id, sync) {
+        function WebStorageStateHolder() {
+            var storageKey = 'ru.kozobrodov.fileTree$' + id;
+            var holder = this;
+            var usedAt = Object.create(null); // Time when node was expanded by its path
+            var applyingRemoteState = false;
+            var pendingChanges = null; // Changes which aren't stored yet
+            var written = null; // The last stored state string
 
-            function mapToTreeNode(data, callback) {
-                var nodes = [];
-                data.forEach(function(fileData) {
-                    var node = {
-                        fileData: fileData,
-                        children: []
-                    }
-                    nodes.push(node);
-                });
-                nodes.sort(sortNodes);
-                callback(nodes);
+            // Restore stored state, it's dropped if it's corrupted
+            function restoreState() {
+                var stateString = storage.getItem(storageKey);
+                if (stateString == null) {
+                    return null;
+                }
+                var state = null;
+                try {
+                    state = decodeState(JSON.parse(stateString));
+                } catch (e) {
+                    // Handled below
+                }
+                if (state == null) {
+                    console.error('Stored state of file tree is corrupted and discarded: ' + storageKey);
+                }
+                return state;
             }
 
-            this.list = function(path, callback, errorCallback) {
-                $.get(url + path, function(data) {mapToTreeNode(data, callback)})
-                    .fail(function(jqXHR) {
-                        switch(jqXHR.status) {
-                            case 501:
-                            case 404:
-                                alert(jqXHR.responseText);
-                                break;
-                            default:
-                                console.error(jqXHR.statusText);
-                                console.error(jqXHR);
+            /**
+             * Writes encoded state, if it doesn't fit into storage,
+             * least recently expanded subtrees are evicted from it
+             */
+            function writeState(tree, times) {
+                var state = encodeState(tree, times);
+                while (true) {
+                    try {
+                        var stateString = JSON.stringify(state);
+                        storage.setItem(storageKey, stateString);
+                        written = stateString;
+                        return;
+                    } catch (e) {
+                        if (!isQuotaExceededError(e) || !evictSubtree(state)) {
+                            console.error('State of file tree cannot be stored', e);
+                            return;
                         }
-                        errorCallback();
-                    });
+                    }
+                }
             }
-        }
-        return new ServiceDataProvider();
-    }
 
-    /**
-     * Central part of this plugin, responsible for rendering,
-     * UI behaviour and data/state orchestration
-     */
-    function Core(settings) {
-        /**
-         * Transform file name using the following rules:
-         * - If file name is empty, it's a root directory
-         *   and special element presenting it must be returned
-         * - If name is too long (more than 40 symbols), it must
-         *   be shortened using special '<...>' filler
-         * - Name itself must be returned in all other cases
+            /**
+             * Removes the least recently expanded node (except root)
+             * with all its expanded descendants from encoded state.
+             * Returns `false` if there is nothing to remove
+             */
+            function evictSubtree(state) {
+                var oldest = null;
+                for (var path in state.nodes) {
+                    if (path !== '' && (oldest == null || state.nodes[path].t < state.nodes[oldest].t)) {
+                        oldest = path;
+                    }
+                }
+                if (oldest == null) {
+                    return false;
+                }
+                for (path in state.nodes) {
+                    if (path === oldest || isAncestor(oldest, path)) {
+                        delete state.nodes[path];
+                    }
+                }
+                return true;
+            }
+
+            var restored = restoreState();
+            if (restored != null) {
+                this.tree = restored.tree;
+                usedAt = restored.usedAt;
+            } else {
+                this.tree = getIndexedFileDataTree(createRootNode());
+                writeState(this.tree, usedAt);
+            }
+
+            this.saveState = function() {
+                pendingChanges = null;
+                writeState(this.tree, usedAt);
+            }
+
+            /**
+             * Stores changed children of the node (`null` if node is
+             * collapsed). Changes are stored at once shortly after
+             * the last of them, as storing of huge state is slow
+             */
+            function saveChange(path, children) {
+                if (applyingRemoteState) {
+                    return; // Already stored by other tab
+                }
+                if (pendingChanges == null) {
+                    pendingChanges = [];
+                    setTimeout(storeChanges, 100);
+                }
+                pendingChanges.push({path: path, children: children});
+            }
+
+            /**
+             * Stores pending changes. When tabs are synchronized and
+             * stored state was changed by other tab, changes are applied
+             * to stored state instead of overwriting it, so that changes
+             * made by other tabs in the meantime aren't lost
+             */
+            function storeChanges() {
+                var changes = pendingChanges;
+                if (changes == null) {
+                    return; // Already stored
+                }
+                var stored = sync && storage.getItem(storageKey) !== written
+                    ? restoreState()
+                    : null;
+                if (stored == null) {
+                    holder.saveState();
+                    return;
+                }
+                pendingChanges = null;
+                changes.forEach(function(change) {
+                    if (stored.tree.has(change.path)) {
+                        if (change.children != null) {
+                            stored.tree.set(change.path, change.children);
+                            stored.usedAt[change.path] = usedAt[change.path];
+                        } else {
+                            stored.tree.clear(change.path);
+                        }
+                    }
+                });
+                writeState(stored.tree, stored.usedAt);
+            }
+
+            // Changes mustn't be lost when page is closed
+            window.addEventListener('pagehide', storeChanges);
+
+            /**
+             * Stores pending changes at once when tree is destroyed,
+             * so that tree created in its place restores them
+             */
+            this.release = function() {
+                storeChanges();
+                window.removeEventListener('pagehide', storeChanges);
+            }
+
+            this.addNodes = function(path, children) {
+                var updatedNode = this.tree.set(path, children);
+                usedAt[path] = Date.now();
+                saveChange(path, children);
+                return updatedNode;
+            }
+
+            this.clearNode = function(path) {
+                this.tree.clear(path);
+                delete usedAt[path];
+                saveChange(path, null);
+            }
+
+            /**
+             * Calls listener with state tree stored by other tab
+             * every time it's changed, returns function which
+             * cancels subscription
+             */
+            this.subscribe = function(listener) {
+                if (!sync) {
+                    return function() {};
+                }
+                function storageListener(event) {
+                    if (event.storageArea !== storage
+                            || event.key !== storageKey
+                            || event.newValue == null) {
+                        return;
+                    }
+                    var remote = restoreState();
+                    if (remote == null) {
+                        return;
+                    }
+                    applyingRemoteState = true;
+                    try {
+                        listener(remote.tree.root);
+                    } finally {
+                        applyingRemoteState = false;
+                    }
+                }
+                window.addEventListener('storage', storageListener);
+                return function() {
+                    window.removeEventListener('storage', storageListener);
+                };
+            }
+
+            this.getCurrentState = function() {
+                return this.tree.root;
+            }
+
+            /**
+             * Forgets all expanded nodes, selection and checked nodes
+             */
+            this.clear = function() {
+                this.tree = getIndexedFileDataTree(createRootNode());
+                usedAt = Object.create(null);
+                pendingChanges = null;
+                written = null;
+                storage.removeItem(storageKey);
+                storage.removeItem(selectionKey);
+                storage.removeItem(checkedKey);
+                storage.removeItem(sortKey);
+                storage.removeItem(columnsKey);
+            }
+
+            var selectionKey = storageKey + '$selection';
+            var checkedKey = storageKey + '$checked';
+            var sortKey = storageKey + '$sort';
+            var columnsKey = storageKey + '$columns';
+
+            this.saveSelection = function(fileDataList) {
+                try {
+                    storage.setItem(selectionKey, JSON.stringify(fileDataList));
+                } catch (e) {
+                    console.error('Selection of file tree cannot be stored', e);
+                }
+            }
+
+            this.getSelection = function() {
+                var selectionString = storage.getItem(selectionKey);
+                try {
+                    var fileDataList = JSON.parse(selectionString);
+                    return Array.isArray(fileDataList) ? fileDataList : [];
+                } catch (e) {
+                    return [];
+                }
+            }
+
+            this.saveChecked = function(paths) {
+                try {
+                    storage.setItem(checkedKey, JSON.stringify(paths));
+                } catch (e) {
+                    console.error('Checked nodes of file tree cannot be stored', e);
+                }
+            }
+
+            this.getChecked = function() {
+                try {
+                    var paths = JSON.parse(storage.getItem(checkedKey));
+                    return Array.isArray(paths) ? paths : [];
+                } catch (e) {
+                    return [];
+                }
+            }
+
+            this.saveSort = function(sorts) {
+                try {
+                    storage.setItem(sortKey, JSON.stringify(sorts));
+                } catch (e) {
+                    console.error('Sort of file tree cannot be stored', e);
+                }
+            }
+
+            this.getSort = function() {
+                try {
+                    var sorts = JSON.parse(storage.getItem(sortKey));
+                    return sorts != null && typeof sorts === 'object' ? sorts : {};
+                } catch (e) {
+                    return {};
+                }
+            }
+
+            this.saveColumns = function(layout) {
+                try {
+                    storage.setItem(columnsKey, JSON.stringify(layout));
+                } catch (e) {
+                    console.error('Columns of file tree cannot be stored', e);
+                }
+            }
+
+            this.getColumns = function() {
+                try {
+                    return JSON.parse(storage.getItem(columnsKey));
+                } catch (e) {
+                    return null;
+                }
+            }
+        }
+        return new WebStorageStateHolder();
+    }
+
+    /**
+     * State holder which keeps current UI state in memory
+     * only, so it's lost once page is closed
+     */
+    var getMemoryStateHolder = function() {
+        function MemoryStateHolder() {
+            var selection = [];
+            var checked = [];
+            var sorts = {};
+            var columns = null;
+            this.tree = getIndexedFileDataTree(createRootNode());
+
+            this.addNodes = function(path, children) {
+                return this.tree.set(path, children);
+            }
+
+            this.clearNode = function(path) {
+                this.tree.clear(path);
+            }
+
+            this.getCurrentState = function() {
+                return this.tree.root;
+            }
+
+            this.clear = function() {
+                this.tree = getIndexedFileDataTree(createRootNode());
+                selection = [];
+                checked = [];
+                sorts = {};
+                columns = null;
+            }
+
+            this.saveSelection = function(fileDataList) {
+                selection = fileDataList;
+            }
+
+            this.getSelection = function() {
+                return selection;
+            }
+
+            this.saveChecked = function(paths) {
+                checked = paths;
+            }
+
+            this.getChecked = function() {
+                return checked;
+            }
+
+            this.saveSort = function(newSorts) {
+                sorts = newSorts;
+            }
+
+            this.getSort = function() {
+                return sorts;
+            }
+
+            this.saveColumns = function(layout) {
+                columns = layout;
+            }
+
+            this.getColumns = function() {
+                return columns;
+            }
+        }
+        return new MemoryStateHolder();
+    }
+
+    /**
+     * State holder which stores current UI state in IndexedDB,
+     * so that it isn't limited by Web Storage quota. State is
+     * restored asynchronously (see `load`) and kept in memory,
+     * changes are written in background
+     */
+    var getIndexedDbStateHolder = function(id) {
+        function IndexedDbStateHolder() {
+            var database = null;
+            var saveScheduled = false;
+            var selection = [];
+            var checked = [];
+            var sorts = {};
+            var columns = null;
+            var usedAt = Object.create(null); // See `encodeState`
+            var holder = this;
+            this.tree = getIndexedFileDataTree(createRootNode());
+
+            function put(entry) {
+                if (database != null) {
+                    database.transaction('entries', 'readwrite')
+                        .objectStore('entries')
+                        .put(entry);
+                }
+            }
+
+            // Serializing huge tree is expensive, so it's saved
+            // once after series of changes
+            function scheduleSave() {
+                if (saveScheduled) {
+                    return;
+                }
+                saveScheduled = true;
+                setTimeout(function() {
+                    saveScheduled = false;
+                    put({key: id, state: encodeState(holder.tree, usedAt)});
+                }, 100);
+            }
+
+            this.load = function(callback) {
+                openIndexedDb('ru.kozobrodov.fileTree.state', function(db) {
+                    database = db;
+                    if (db == null) {
+                        callback();
+                        return;
+                    }
+                    var transaction = db.transaction('entries');
+                    var store = transaction.objectStore('entries');
+                    var stateRequest = store.get(id);
+                    var selectionRequest = store.get(id + '$selection');
+                    var checkedRequest = store.get(id + '$checked');
+                    var sortRequest = store.get(id + '$sort');
+                    var columnsRequest = store.get(id + '$columns');
+                    transaction.oncomplete = function() {
+                        var entry = stateRequest.result;
+                        var state = entry != null ? decodeState(entry.state || entry.root) : null;
+                        if (state != null) {
+                            holder.tree = state.tree;
+                            usedAt = state.usedAt;
+                        }
+                        entry = selectionRequest.result;
+                        if (entry != null && Array.isArray(entry.selection)) {
+                            selection = entry.selection;
+                        }
+                        entry = checkedRequest.result;
+                        if (entry != null && Array.isArray(entry.checked)) {
+                            checked = entry.checked;
+                        }
+                        entry = sortRequest.result;
+                        if (entry != null && entry.sort != null) {
+                            sorts = entry.sort;
+                        }
+                        entry = columnsRequest.result;
+                        if (entry != null) {
+                            columns = entry.columns;
+                        }
+                        callback();
+                    };
+                    transaction.onerror = function() {
+                        callback();
+                    };
+                });
+            }
+
+            this.addNodes = function(path, children) {
+                var updatedNode = this.tree.set(path, children);
+                usedAt[path] = Date.now();
+                scheduleSave();
+                return updatedNode;
+            }
+
+            this.clearNode = function(path) {
+                this.tree.clear(path);
+                delete usedAt[path];
+                scheduleSave();
+            }
+
+            this.getCurrentState = function() {
+                return this.tree.root;
+            }
+
+            this.clear = function() {
+                this.tree = getIndexedFileDataTree(createRootNode());
+                usedAt = Object.create(null);
+                selection = [];
+                checked = [];
+                sorts = {};
+                columns = null;
+                if (database != null) {
+                    var store = database.transaction('entries', 'readwrite').objectStore('entries');
+                    store.delete(id);
+                    store.delete(id + '$selection');
+                    store.delete(id + '$checked');
+                    store.delete(id + '$sort');
+                    store.delete(id + '$columns');
+                }
+            }
+
+            this.saveSelection = function(fileDataList) {
+                selection = fileDataList;
+                put({key: id + '$selection', selection: fileDataList});
+            }
+
+            this.getSelection = function() {
+                return selection;
+            }
+
+            this.saveChecked = function(paths) {
+                checked = paths;
+                put({key: id + '$checked', checked: paths});
+            }
+
+            this.getChecked = function() {
+                return checked;
+            }
+
+            this.saveSort = function(newSorts) {
+                sorts = newSorts;
+                put({key: id + '$sort', sort: newSorts});
+            }
+
+            this.getSort = function() {
+                return sorts;
+            }
+
+            this.saveColumns = function(layout) {
+                columns = layout;
+                put({key: id + '$columns', columns: layout});
+            }
+
+            this.getColumns = function() {
+                return columns;
+            }
+        }
+        return new IndexedDbStateHolder();
+    }
+
+    /**
+     * State holder which keeps paths of expanded nodes in
+     * location hash, so that link to the page opens the tree
+     * in the same state. Nodes itself are kept in memory and
+     * expanded nodes are loaded again on initialization
+     */
+    var getUrlStateHolder = function(id) {
+        function UrlStateHolder() {
+            var parameter = id !== '' ? 'expanded.' + id : 'expanded';
+            // Path of root is empty, so it can't be told from empty list
+            var rootPath = '/';
+            this.tree = getIndexedFileDataTree(createRootNode());
+
+            this.saveState = function() {
+                var paths = this.tree.find(function(node) {
+                    return node.fileData.expandable && node.children.length > 0;
+                }).map(function(node) {
+                    if (node.fileData.path === '') {
+                        return rootPath;
+                    }
+                    // Only characters used by list itself are escaped
+                    return node.fileData.path.replace(/%/g, '%25').replace(/,/g, '%2C');
+                });
+                setHashParameter(parameter, paths.length > 0 ? paths.join(',') : null);
+            }
+
+            /**
+             * Passes paths from location hash to callback,
+             * so that they are expanded once tree is ready
+             */
+            this.load = function(callback) {
+                var value = getHashParameters()[parameter];
+                if (value == null || value === '') {
+                    callback([]);
+                    return;
+                }
+                callback(value.split(',').map(function(path) {
+                    if (path === rootPath) {
+                        return '';
+                    }
+                    try {
+                        return decodeURIComponent(path);
+                    } catch (e) {
+                        return path;
+                    }
+                }));
+            }
+
+            this.addNodes = function(path, children) {
+                var updatedNode = this.tree.set(path, children);
+                this.saveState();
+                return updatedNode;
+            }
+
+            this.clearNode = function(path) {
+                this.tree.clear(path);
+                this.saveState();
+            }
+
+            this.getCurrentState = function() {
+                return this.tree.root;
+            }
+
+            this.clear = function() {
+                this.tree = getIndexedFileDataTree(createRootNode());
+                setHashParameter(parameter, null);
+            }
+        }
+        return new UrlStateHolder();
+    }
+
+    /**
+     * Data provider which loads the full directory
+     * structures as JSON file
+     */
+    var getJsonDataProvider = function(jsonPath) {
+        function JsonDataProvider() {
+            this.load = function(callback, errorCallback) {
+                $.ajax({
+                    url: jsonPath,
+                    dataType: 'json',
+                    context : this,
+                    success: function (data) {
+                        this.tree = getIndexedFileDataTree(data);
+                        callback();
+                    },
+                    error: function(jqXHR) {
+                        console.error(jqXHR.statusText);
+                        errorCallback(jqXHR);
+                    }
+                });
+            }
+
+            this.list = function(path, callback, errorCallback) {
+                var node = this.tree.get(path);
+                if (node == null) {
+                    errorCallback(new Error("No node was found by path: " + path));
+                    return;
+                }
+                callback(node.children);
+            }
+
+            /**
+             * Searches the whole tree for files with matching
+             * names, matched files are returned along with
+             * their ancestors
+             */
+            this.search = function(query, options, callback, errorCallback) {
+                var matcher;
+                try {
+                    matcher = createNameMatcher(query, options.mode);
+                } catch (e) {
+                    errorCallback(e);
+                    return;
+                }
+                var tree = this.tree;
+                var added = {};
+                var result = [];
+                function add(fileData) {
+                    if (!added.hasOwnProperty(fileData.path)) {
+                        added[fileData.path] = true;
+                        result.push(fileData);
+                    }
+                }
+                tree.find(function(node) {
+                    return node.fileData.path !== ''
+                        && matcher(node.fileData.name) != null;
+                }).forEach(function(node) {
+                    parentPaths(node.fileData.path).forEach(function(path) {
+                        add(tree.get(path).fileData);
+                    });
+                    add(node.fileData);
+                });
+                callback(result);
+            }
+
+            this.release = function() {
+                this.tree = null;
+            }
+
+        }
+        return new JsonDataProvider();
+    }
+
+    /**
+     * Data provider which uses remote service to get
+     * data about files
+     */
+    var getServiceDataProvider = function(url, searchUrl, pageSize, contentUrl) {
+        function ServiceDataProvider() {
+            this.load = function(callback, errorCallback) {callback();}
+
+            function handleError(jqXHR, errorCallback) {
+                switch(jqXHR.status) {
+                    case 501:
+                    case 404:
+                        alert(jqXHR.responseText);
+                        break;
+                    default:
+                        console.error(jqXHR.statusText);
+                        console.error(jqXHR);
+                }
+                errorCallback(jqXHR);
+            }
+
+            function mapToTreeNode(data, callback) {
+                var nodes = [];
+                data.forEach(function(fileData) {
+                    var node = {
+                        fileData: fileData,
+                        children: []
+                    }
+                    nodes.push(node);
+                });
+                callback(nodes);
+            }
+
+            function listPage(path, params, callback, errorCallback) {
+                $.get(url + path, params, function(data) {
+                    if ($.isArray(data)) {
+                        mapToTreeNode(data, callback);
+                        return;
+                    }
+                    mapToTreeNode(data.items, function(nodes) {
+                        var page = null;
+                        if (data.cursor != null) {
+                            page = {cursor: data.cursor, total: data.total};
+                        }
+                        callback(nodes, page);
+                    });
+                }).fail(function(jqXHR) {
+                    handleError(jqXHR, errorCallback);
+                });
+            }
+
+            /**
+             * Lists directory using `GET <url><path>` request. If
+             * `pageSize` is set, `?limit=<pageSize>` is added and
+             * service may respond with the first page of directory
+             * as object `{items: <array_of_file_data>, total: <total_count>,
+             * cursor: <cursor_of_next_page>}` instead of array. Cursor
+             * is omitted (or `null`) for the last page
+             */
+            this.list = function(path, callback, errorCallback) {
+                var params = pageSize != null ? {limit: pageSize} : {};
+                listPage(path, params, callback, errorCallback);
+            }
+
+            /**
+             * Lists next page of directory using
+             * `GET <url><path>?limit=<pageSize>&cursor=<cursor>` request
+             */
+            this.listMore = function(path, cursor, callback, errorCallback) {
+                var params = {cursor: cursor};
+                if (pageSize != null) {
+                    params.limit = pageSize;
+                }
+                listPage(path, params, callback, errorCallback);
+            }
+
+            /**
+             * Sends request changing file with `<url><path>` URL, data
+             * is sent as JSON. Unlike listing errors, errors of changes
+             * are shown by tree itself
+             */
+            function send(method, path, data, callback, errorCallback) {
+                $.ajax({
+                    url: url + path,
+                    method: method,
+                    contentType: data != null ? 'application/json' : undefined,
+                    data: data != null ? JSON.stringify(data) : undefined,
+                    success: callback,
+                    error: function(jqXHR) {
+                        console.error(jqXHR.statusText);
+                        errorCallback(jqXHR);
+                    }
+                });
+            }
+
+            /**
+             * Creates directory using `POST <url><parentPath>` request
+             * with `{"name": <name>, "type": "directory"}` body, service
+             * must respond with `FileData` of created directory
+             */
+            this.createDirectory = function(parentPath, name, callback, errorCallback) {
+                send('POST', parentPath, {name: name, type: 'directory'}, callback, errorCallback);
+            }
+
+            /**
+             * Renames file using `PATCH <url><path>` request with
+             * `{"name": <newName>}` body, service must respond with
+             * `FileData` of renamed file
+             */
+            this.rename = function(path, newName, callback, errorCallback) {
+                send('PATCH', path, {name: newName}, callback, errorCallback);
+            }
+
+            /**
+             * Removes file (or directory with all its contents)
+             * using `DELETE <url><path>` request
+             */
+            this.remove = function(path, callback, errorCallback) {
+                send('DELETE', path, null, function() {
+                    callback();
+                }, errorCallback);
+            }
+
+            /**
+             * Moves file using `PATCH <url><path>` request with
+             * `{"path": <newPath>}` body, service must respond with
+             * `FileData` of moved file
+             */
+            this.move = function(path, newPath, callback, errorCallback) {
+                send('PATCH', path, {path: newPath}, callback, errorCallback);
+            }
+
+            /**
+             * Copies file using `POST <url><path>` request with
+             * `{"copyTo": <newPath>}` body, service must respond with
+             * `FileData` of the copy
+             */
+            this.copy = function(path, newPath, callback, errorCallback) {
+                send('POST', path, {copyTo: newPath}, callback, errorCallback);
+            }
+
+            /**
+             * Uploads files into directory using multipart
+             * `POST <url><path>` request with `files` parts, if
+             * `overwrite` is set `?overwrite=true` is added. Service
+             * must respond with array of `FileData` of uploaded files.
+             * Progress of upload is passed to `progress(loaded, total)`.
+             * Returns request, so that it can be aborted
+             */
+            this.upload = function(path, files, progress, callback, errorCallback, overwrite) {
+                var data = new FormData();
+                files.forEach(function(file) {
+                    data.append('files', file, file.name);
+                });
+                return $.ajax({
+                    url: url + path + (overwrite ? '?overwrite=true' : ''),
+                    method: 'POST',
+                    data: data,
+                    processData: false,
+                    contentType: false,
+                    xhr: function() {
+                        var xhr = $.ajaxSettings.xhr();
+                        if (xhr.upload != null) {
+                            xhr.upload.addEventListener('progress', function(event) {
+                                if (event.lengthComputable) {
+                                    progress(event.loaded, event.total);
+                                }
+                            });
+                        }
+                        return xhr;
+                    },
+                    success: callback,
+                    error: function(jqXHR, textStatus) {
+                        if (textStatus !== 'abort') {
+                            console.error(jqXHR.statusText);
+                            errorCallback(jqXHR);
+                        }
+                    }
+                });
+            }
+
+            /**
+             * Reads contents of file (which can be within archive)
+             * using `GET <contentUrl><path>` request, or
+             * `GET <url><path>?content=true` if `contentUrl` isn't
+             * set. If `range` (`{start: <first_byte>, end: <byte_after_last>}`)
+             * is specified, only that part of file is requested with
+             * `Range` header. Contents are passed to callback as `Blob`.
+             * Returns request, so that it can be aborted
+             */
+            this.read = function(path, range, callback, errorCallback) {
+                var headers = {};
+                if (range != null) {
+                    headers.Range = 'bytes=' + range.start + '-' + (range.end - 1);
+                }
+                return $.ajax({
+                    url: contentUrl != null ? contentUrl + path : url + path,
+                    data: contentUrl != null ? undefined : {content: true},
+                    headers: headers,
+                    // Response is passed as is, without conversion to text
+                    dataType: 'binary',
+                    xhrFields: {responseType: 'blob'},
+                    success: callback,
+                    error: function(jqXHR, textStatus) {
+                        if (textStatus !== 'abort') {
+                            console.error(jqXHR.statusText);
+                            errorCallback(jqXHR);
+                        }
+                    }
+                });
+            }
+
+            if (searchUrl != null) {
+                /**
+                 * Searches files using `GET <searchUrl>?q=<query>&mode=<mode>&offset=<offset>&limit=<limit>`
+                 * request. Service must respond with either array of
+                 * found `FileData` or one page of them as object
+                 * `{items: <array_of_file_data>, total: <number_of_found_files>}`.
+                 * Returns request, so that it can be aborted
+                 */
+                this.search = function(query, options, callback, errorCallback) {
+                    var params = {
+                        q: query,
+                        mode: options.mode,
+                        offset: options.offset,
+                        limit: options.limit
+                    };
+                    return $.get(searchUrl, params, function(data) {
+                        if ($.isArray(data)) {
+                            callback(data);
+                        } else {
+                            callback(data.items, {total: data.total});
+                        }
+                    }).fail(function(jqXHR, textStatus) {
+                        if (textStatus !== 'abort') {
+                            handleError(jqXHR, errorCallback);
+                        }
+                    });
+                }
+            }
+        }
+        return new ServiceDataProvider();
+    }
+
+    /**
+     * MIME types by file extension, used for files which type
+     * isn't reported by data provider (e.g. entries of archives)
+     */
+    var extensionToTypeMap = {
+        "txt": "text/plain",
+        "log": "text/plain",
+        "md": "text/markdown",
+        "csv": "text/csv",
+        "html": "text/html",
+        "htm": "text/html",
+        "css": "text/css",
+        "js": "text/javascript",
+        "java": "text/x-java-source",
+        "json": "application/json",
+        "xml": "application/xml",
+        "properties": "text/plain",
+        "mf": "text/plain",
+        "class": "application/java-vm",
+        "pdf": "application/pdf",
+        "jpg": "image/jpeg",
+        "jpeg": "image/jpeg",
+        "png": "image/png",
+        "gif": "image/gif",
+        "svg": "image/svg+xml",
+        "zip": "application/zip",
+        "jar": "application/java-archive",
+        "rar": "application/x-rar"
+    };
+
+    /**
+     * Returns lower case extension of file name (without
+     * dot) or empty string if there is no extension
+     */
+    function extensionOf(name) {
+        var dot = name.lastIndexOf('.');
+        return dot > 0 ? name.substring(dot + 1).toLowerCase() : '';
+    }
+
+    /**
+     * Returns MIME type of file by extension of its name
+     */
+    function typeByName(name) {
+        var extension = extensionOf(name);
+        return extensionToTypeMap.hasOwnProperty(extension)
+            ? extensionToTypeMap[extension]
+            : '<unknown_type>';
+    }
+
+    /**
+     * Finds value for file in `typeMap` by its MIME type, then by
+     * wildcard of MIME type (e.g. `image/*`), then in `extensionMap`
+     * by extension of its name, and finally in `typeMap` by
+     * `<unknown_type>` if type of file isn't known. Returns `null`
+     * if nothing is found
+     */
+    function lookupByFileType(typeMap, extensionMap, fileData) {
+        var type = fileData.type || '<unknown_type>';
+        if (type !== '<unknown_type>') {
+            if (typeMap.hasOwnProperty(type)) {
+                return typeMap[type];
+            }
+            var wildcard = type.split('/')[0] + '/*';
+            if (typeMap.hasOwnProperty(wildcard)) {
+                return typeMap[wildcard];
+            }
+        }
+        var extension = extensionOf(fileData.name || '');
+        if (extension !== '' && extensionMap.hasOwnProperty(extension)) {
+            return extensionMap[extension];
+        }
+        if (type === '<unknown_type>' && typeMap.hasOwnProperty(type)) {
+            return typeMap[type];
+        }
+        return null;
+    }
+
+    /**
+     * Checks whether file of specific type can be
+     * browsed with `ZipDataProvider`
+     */
+    function isZipType(type) {
+        return type === 'application/zip'
+            || type === 'application/x-zip-compressed'
+            || type === 'application/java-archive'
+            || type === 'application/x-java-archive';
+    }
+
+    /**
+     * Reads unsigned 64-bit little-endian number, numbers bigger
+     * than 2^53 cannot be presented exactly, but ZIP archives
+     * of such size aren't expected here
+     */
+    function getUint64(view, offset) {
+        return view.getUint32(offset, true)
+            + view.getUint32(offset + 4, true) * 0x100000000;
+    }
+
+    /**
+     * Converts MS-DOS date and time (local ones) to ISO string
+     */
+    function dosDateTime(date, time) {
+        return new Date(
+            (date >> 9) + 1980,
+            ((date >> 5) & 0x0F) - 1,
+            date & 0x1F,
+            time >> 11,
+            (time >> 5) & 0x3F,
+            (time & 0x1F) * 2
+        ).toISOString();
+    }
+
+    /**
+     * Byte source (object which is read by `ZipDataProvider`)
+     * reading file by URL with HTTP `Range` requests. If server
+     * ignores `Range` header, the whole file is downloaded once
+     * and kept in memory
+     */
+    var getUrlByteSource = function(url) {
+        function UrlByteSource() {
+            var whole = null;
+
+            // Passes to callback either requested part of file with
+            // its total size (if known), or `null` if the whole
+            // file was received
+            function request(range, callback, errorCallback) {
+                $.ajax({
+                    url: url,
+                    headers: range != null ? {Range: range} : {},
+                    // Response is passed as is, without conversion to text
+                    dataType: 'binary',
+                    xhrFields: {responseType: 'arraybuffer'},
+                    success: function(data, textStatus, jqXHR) {
+                        if (jqXHR.status == 206) {
+                            var total = /\/(\d+)\s*$/.exec(jqXHR.getResponseHeader('Content-Range') || '');
+                            callback(data, total != null ? parseInt(total[1], 10) : null);
+                        } else {
+                            whole = data;
+                            callback(null, data.byteLength);
+                        }
+                    },
+                    error: function(jqXHR) {
+                        console.error(jqXHR.statusText);
+                        errorCallback(jqXHR);
+                    }
+                });
+            }
+
+            function tail(length) {
+                return whole.slice(Math.max(0, whole.byteLength - length));
+            }
+
+            /**
+             * Passes last `length` bytes of file and
+             * size of the whole file to callback
+             */
+            this.readTail = function(length, callback, errorCallback) {
+                if (whole != null) {
+                    callback(tail(length), whole.byteLength);
+                    return;
+                }
+                request('bytes=-' + length, function(data, size) {
+                    if (data == null) {
+                        callback(tail(length), size);
+                    } else if (size != null) {
+                        callback(data, size);
+                    } else {
+                        // Offsets within file cannot be
+                        // found without its size
+                        request(null, function() {
+                            callback(tail(length), whole.byteLength);
+                        }, errorCallback);
+                    }
+                }, errorCallback);
+            }
+
+            /**
+             * Passes bytes of file from `start` (inclusive)
+             * to `end` (exclusive) to callback
+             */
+            this.read = function(start, end, callback, errorCallback) {
+                if (whole != null || end <= start) {
+                    callback(whole != null ? whole.slice(start, end) : new ArrayBuffer(0));
+                    return;
+                }
+                request('bytes=' + start + '-' + (end - 1), function(data) {
+                    callback(data != null ? data : whole.slice(start, end));
+                }, errorCallback);
+            }
+        }
+        return new UrlByteSource();
+    }
+
+    /**
+     * Byte source (see `UrlByteSource`) reading file already
+     * loaded into memory, e.g. archive within archive
+     */
+    var getBufferByteSource = function(buffer) {
+        function BufferByteSource() {
+            this.readTail = function(length, callback) {
+                callback(buffer.slice(Math.max(0, buffer.byteLength - length)), buffer.byteLength);
+            }
+
+            this.read = function(start, end, callback) {
+                callback(buffer.slice(start, end));
+            }
+        }
+        return new BufferByteSource();
+    }
+
+    /**
+     * Byte source (see `UrlByteSource`) reading file with `read`
+     * method of data provider (see `ServiceDataProvider.read`).
+     * Parts of file are requested only if its size is known from
+     * `FileData`, otherwise (or if provider ignores requested range)
+     * the whole file is read once and kept in memory
+     */
+    var getProviderByteSource = function(provider, fileData) {
+        function ProviderByteSource() {
+            var whole = null;
+
+            function read(start, end, callback, errorCallback) {
+                if (whole != null) {
+                    callback(whole.slice(start, end));
+                    return;
+                }
+                var range = fileData.size != null ? {start: start, end: end} : null;
+                provider.read(fileData.path, range, function(blob) {
+                    var reader = new FileReader();
+                    reader.onload = function() {
+                        var data = reader.result;
+                        if (range == null || data.byteLength != end - start) {
+                            whole = data;
+                            data = whole.slice(start, end);
+                        }
+                        callback(data);
+                    };
+                    reader.onerror = function() {
+                        errorCallback(reader.error);
+                    };
+                    reader.readAsArrayBuffer(blob);
+                }, errorCallback);
+            }
+
+            this.readTail = function(length, callback, errorCallback) {
+                var size = whole != null ? whole.byteLength : fileData.size;
+                if (size == null) {
+                    read(0, Infinity, function() {
+                        callback(whole.slice(Math.max(0, whole.byteLength - length)), whole.byteLength);
+                    }, errorCallback);
+                    return;
+                }
+                read(Math.max(0, size - length), size, function(data) {
+                    callback(data, whole != null ? whole.byteLength : size);
+                }, errorCallback);
+            }
+
+            this.read = read;
+        }
+        return new ProviderByteSource();
+    }
+
+    /**
+     * Parses entries of ZIP central directory
+     */
+    function parseCentralDirectory(buffer) {
+        var view = new DataView(buffer);
+        // Names are expected to be in UTF-8 even if archive doesn't
+        // mark them so, as all the modern tools write them this way
+        var decoder = new TextDecoder('utf-8');
+        var entries = [];
+        var offset = 0;
+        while (offset + 46 <= buffer.byteLength && view.getUint32(offset, true) == 0x02014b50) {
+            var flags = view.getUint16(offset + 8, true);
+            var compressedSize = view.getUint32(offset + 20, true);
+            var size = view.getUint32(offset + 24, true);
+            var nameLength = view.getUint16(offset + 28, true);
+            var extraLength = view.getUint16(offset + 30, true);
+            var localOffset = view.getUint32(offset + 42, true);
+            var extra = offset + 46 + nameLength;
+            var extraEnd = extra + extraLength;
+
+            // ZIP64 extra field holds those of values which don't fit
+            while (extra + 4 <= extraEnd) {
+                var fieldLength = view.getUint16(extra + 2, true);
+                if (view.getUint16(extra, true) == 0x0001) {
+                    var position = extra + 4;
+                    if (size == 0xFFFFFFFF) {
+                        size = getUint64(view, position);
+                        position += 8;
+                    }
+                    if (compressedSize == 0xFFFFFFFF) {
+                        compressedSize = getUint64(view, position);
+                        position += 8;
+                    }
+                    if (localOffset == 0xFFFFFFFF) {
+                        localOffset = getUint64(view, position);
+                    }
+                }
+                extra += 4 + fieldLength;
+            }
+
+            var name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+            entries.push({
+                name: name,
+                directory: name.charAt(name.length - 1) === '/',
+                encrypted: (flags & 1) != 0,
+                method: view.getUint16(offset + 10, true),
+                modified: dosDateTime(view.getUint16(offset + 14, true), view.getUint16(offset + 12, true)),
+                size: size,
+                compressedSize: compressedSize,
+                offset: localOffset
+            });
+            offset = extraEnd + view.getUint16(offset + 32, true);
+        }
+        return entries;
+    }
+
+    /**
+     * Finds end of central directory record of ZIP archive
+     * (ZIP64 one if present) and passes parsed entries of
+     * central directory to callback
+     */
+    function readCentralDirectory(source, callback, errorCallback) {
+        // Record is 22 bytes long plus comment of up to 65535 bytes,
+        // preceded by 20 bytes long ZIP64 locator
+        source.readTail(20 + 22 + 0xFFFF, function(tail) {
+            var view = new DataView(tail);
+            var end = tail.byteLength - 22;
+            while (end >= 0 && view.getUint32(end, true) != 0x06054b50) {
+                end--;
+            }
+            if (end < 0) {
+                errorCallback(new Error('File is not a ZIP archive'));
+                return;
+            }
+
+            function read(offset, size) {
+                source.read(offset, offset + size, function(data) {
+                    callback(parseCentralDirectory(data));
+                }, errorCallback);
+            }
+
+            var offset = view.getUint32(end + 16, true);
+            if (offset == 0xFFFFFFFF && end >= 20 && view.getUint32(end - 20, true) == 0x07064b50) {
+                var recordOffset = getUint64(view, end - 12);
+                source.read(recordOffset, recordOffset + 56, function(record) {
+                    var recordView = new DataView(record);
+                    if (record.byteLength < 56 || recordView.getUint32(0, true) != 0x06064b50) {
+                        errorCallback(new Error('Malformed ZIP64 archive'));
+                        return;
+                    }
+                    read(getUint64(recordView, 48), getUint64(recordView, 40));
+                }, errorCallback);
+                return;
+            }
+            read(offset, view.getUint32(end + 12, true));
+        }, errorCallback);
+    }
+
+    /**
+     * Passes uncompressed contents of ZIP entry to callback as
+     * `ArrayBuffer`. Deflated entries are decompressed with
+     * `DecompressionStream`, so they cannot be read in browsers
+     * without it
+     */
+    function readZipEntry(source, entry, callback, errorCallback) {
+        if (entry.encrypted) {
+            errorCallback(new Error('Encrypted ZIP entries are not supported'));
+            return;
+        }
+        if (entry.method != 0 && (entry.method != 8 || typeof DecompressionStream === 'undefined')) {
+            errorCallback(new Error('Unsupported compression method: ' + entry.method));
+            return;
+        }
+        // Local header has its own lengths of name and extra field
+        source.read(entry.offset, entry.offset + 30, function(header) {
+            var view = new DataView(header);
+            if (header.byteLength < 30 || view.getUint32(0, true) != 0x04034b50) {
+                errorCallback(new Error('Malformed ZIP entry: ' + entry.name));
+                return;
+            }
+            var start = entry.offset + 30 + view.getUint16(26, true) + view.getUint16(28, true);
+            source.read(start, start + entry.compressedSize, function(data) {
+                if (entry.method == 0) {
+                    callback(data);
+                    return;
+                }
+                var stream = new Blob([data]).stream()
+                    .pipeThrough(new DecompressionStream('deflate-raw'));
+                new Response(stream).arrayBuffer().then(callback, errorCallback);
+            }, errorCallback);
+        }, errorCallback);
+    }
+
+    /**
+     * Data provider which lists contents of ZIP (or JAR) archive
+     * reading only its central directory, so that huge archives
+     * aren't downloaded entirely to be browsed. `source` is either
+     * URL of archive (read with HTTP `Range` requests) or byte
+     * source (see `UrlByteSource`). Entries get paths within
+     * archive, or within `basePath` if archive is the file with
+     * such path of another provider (see `ZipMountingDataProvider`).
+     * Archives within archive are expandable too, they are read
+     * entirely once expanded.
+     *
+     * Entries have `size` and `compressedSize` properties of
+     * `FileData`, their contents can be read with `read` method.
+     */
+    var getZipDataProvider = function(source, basePath) {
+        basePath = basePath || '';
+        if (typeof source === 'string') {
+            source = getUrlByteSource(source);
+        }
+        function ZipDataProvider() {
+            var entries = {}; // Central directory entries by path
+            var nested = {}; // Loaded providers of nested archives by path
+
+            function nestedArchiveOf(path) {
+                var paths = parentPaths(path).concat([path]);
+                for (var i = paths.length - 1; i >= 0; i--) {
+                    if (entries.hasOwnProperty(paths[i]) && isZipType(typeByName(paths[i]))) {
+                        return paths[i];
+                    }
+                }
+                return null;
+            }
+
+            function openNested(path, callback, errorCallback) {
+                if (nested.hasOwnProperty(path)) {
+                    callback(nested[path]);
+                    return;
+                }
+                readZipEntry(source, entries[path], function(data) {
+                    var provider = getZipDataProvider(getBufferByteSource(data), path);
+                    provider.load(function() {
+                        nested[path] = provider;
+                        callback(provider);
+                    }, errorCallback);
+                }, errorCallback);
+            }
+
+            this.load = function(callback, errorCallback) {
+                readCentralDirectory(source, function(list) {
+                    var tree = getIndexedFileDataTree({
+                        fileData: {
+                            path: basePath,
+                            name: basePath.substring(basePath.lastIndexOf('/') + 1),
+                            type: 'directory',
+                            expandable: true
+                        },
+                        children: []
+                    });
+                    // Archives aren't required to have entries of
+                    // directories, so they're created when needed
+                    function addDirectory(path) {
+                        if (!tree.has(path)) {
+                            var parentPath = path.substring(0, Math.max(0, path.lastIndexOf('/')));
+                            addDirectory(parentPath);
+                            tree.add(parentPath, createFileNode({
+                                path: path,
+                                name: path.substring(path.lastIndexOf('/') + 1),
+                                type: 'directory',
+                                expandable: true
+                            }));
+                        }
+                    }
+                    list.forEach(function(entry) {
+                        var name = entry.name.replace(/^\/+|\/+$/g, '');
+                        if (name === '') {
+                            return;
+                        }
+                        var path = basePath === '' ? name : basePath + '/' + name;
+                        if (entry.directory) {
+                            addDirectory(path);
+                            return;
+                        }
+                        if (tree.has(path)) {
+                            return;
+                        }
+                        var parentPath = path.substring(0, Math.max(0, path.lastIndexOf('/')));
+                        var type = typeByName(path);
+                        addDirectory(parentPath);
+                        entries[path] = entry;
+                        tree.add(parentPath, createFileNode({
+                            path: path,
+                            name: path.substring(path.lastIndexOf('/') + 1),
+                            type: type,
+                            expandable: isZipType(type),
+                            size: entry.size,
+                            compressedSize: entry.compressedSize,
+                            modified: entry.modified
+                        }));
+                    });
+                    this.tree = tree;
+                    callback();
+                }.bind(this), errorCallback);
+            }
+
+            this.list = function(path, callback, errorCallback) {
+                var archivePath = nestedArchiveOf(path);
+                if (archivePath != null) {
+                    openNested(archivePath, function(provider) {
+                        provider.list(path, callback, errorCallback);
+                    }, errorCallback);
+                    return;
+                }
+                if (this.tree == null || !this.tree.has(path)) {
+                    errorCallback(new Error("No node was found by path: " + path));
+                    return;
+                }
+                callback(this.tree.get(path).children);
+            }
+
+            /**
+             * Reads uncompressed contents of entry, `range` is
+             * applied after the whole entry is decompressed
+             * (see `ServiceDataProvider.read`)
+             */
+            this.read = function(path, range, callback, errorCallback) {
+                var archivePath = nestedArchiveOf(path);
+                if (archivePath != null && archivePath !== path) {
+                    openNested(archivePath, function(provider) {
+                        provider.read(path, range, callback, errorCallback);
+                    }, errorCallback);
+                    return;
+                }
+                if (!entries.hasOwnProperty(path)) {
+                    errorCallback(new Error("No file was found by path: " + path));
+                    return;
+                }
+                readZipEntry(source, entries[path], function(data) {
+                    if (range != null) {
+                        data = data.slice(range.start, range.end);
+                    }
+                    callback(new Blob([data], {type: typeByName(path)}));
+                }, errorCallback);
+            }
+
+            this.release = function() {
+                this.tree = null;
+                entries = {};
+                nested = {};
+            }
+        }
+        return new ZipDataProvider();
+    }
+
+    /**
+     * Data provider which wraps another one and lists ZIP archives
+     * (see `isZipType`) found by it with `ZipDataProvider`, reading
+     * archives with `read` method of wrapped provider. Other files
+     * are listed by wrapped provider
+     */
+    var getZipMountingDataProvider = function(provider) {
+        function ZipMountingDataProvider() {
+            var archives = {}; // `FileData` of found archives by path
+            var mounted = {}; // Loaded `ZipDataProvider` by archive path
+
+            function archiveOf(path) {
+                var paths = parentPaths(path).concat([path]);
+                for (var i = paths.length - 1; i >= 0; i--) {
+                    if (archives.hasOwnProperty(paths[i])) {
+                        return paths[i];
+                    }
+                }
+                return null;
+            }
+
+            function remember(data) {
+                data.forEach(function(node) {
+                    if (!isPseudoNode(node) && isZipType(node.fileData.type)) {
+                        archives[node.fileData.path] = node.fileData;
+                    }
+                });
+            }
+
+            function mount(path, callback, errorCallback) {
+                if (mounted.hasOwnProperty(path)) {
+                    callback(mounted[path]);
+                    return;
+                }
+                var archive = getZipDataProvider(getProviderByteSource(provider, archives[path]), path);
+                archive.load(function() {
+                    mounted[path] = archive;
+                    callback(archive);
+                }, errorCallback);
+            }
+
+            this.load = function(callback, errorCallback) {
+                provider.load(callback, errorCallback);
+            }
+
+            this.list = function(path, callback, errorCallback) {
+                var archivePath = archiveOf(path);
+                if (archivePath != null) {
+                    mount(archivePath, function(archive) {
+                        archive.list(path, callback, errorCallback);
+                    }, errorCallback);
+                    return;
+                }
+                provider.list(path, function(data, page) {
+                    remember(data);
+                    callback(data, page);
+                }, errorCallback);
+            }
+
+            if (typeof provider.listMore === 'function') {
+                this.listMore = function(path, cursor, callback, errorCallback) {
+                    provider.listMore(path, cursor, function(data, page) {
+                        remember(data);
+                        callback(data, page);
+                    }, errorCallback);
+                }
+            }
+
+            this.read = function(path, range, callback, errorCallback) {
+                var archivePath = archiveOf(path);
+                if (archivePath == null || archivePath === path) {
+                    return provider.read(path, range, callback, errorCallback);
+                }
+                mount(archivePath, function(archive) {
+                    archive.read(path, range, callback, errorCallback);
+                }, errorCallback);
+            }
+
+            /**
+             * Forgets loaded archives within directory with specified
+             * path (all of them if path isn't specified), so that they
+             * are read again, and delegates to wrapped provider
+             */
+            this.invalidate = function(path) {
+                for (var archivePath in mounted) {
+                    if (path == null || archivePath === path || isAncestor(path, archivePath)) {
+                        delete mounted[archivePath];
+                    }
+                }
+                if (typeof provider.invalidate === 'function') {
+                    provider.invalidate(path);
+                }
+            }
+
+            this.release = function() {
+                archives = {};
+                mounted = {};
+                if (typeof provider.release === 'function') {
+                    provider.release();
+                }
+            }
+
+            // Everything else is delegated to wrapped provider
+            for (var method in provider) {
+                if (typeof provider[method] === 'function' && !this.hasOwnProperty(method)) {
+                    this[method] = provider[method].bind(provider);
+                }
+            }
+        }
+        return new ZipMountingDataProvider();
+    }
+
+    /**
+     * Opens (creating if needed) IndexedDB database with single
+     * object store `entries` which uses `key` property of stored
+     * objects as key. Callback gets opened database or `null` if
+     * IndexedDB isn't available
+     */
+    function openIndexedDb(name, callback) {
+        var request;
+        try {
+            request = window.indexedDB.open(name, 1);
+        } catch (e) {
+            callback(null);
+            return;
+        }
+        request.onupgradeneeded = function() {
+            request.result.createObjectStore('entries', {keyPath: 'key'});
+        };
+        request.onsuccess = function() {
+            callback(request.result);
+        };
+        request.onerror = function() {
+            console.error(request.error);
+            callback(null);
+        };
+    }
+
+    /**
+     * Data provider which wraps another one and caches
+     * directory listings loaded by it (see `cache` option
+     * of `defaultConfig` for details)
+     */
+    var getCachingDataProvider = function(provider, options, id) {
+        function CachingDataProvider() {
+            // Keys are prefixed, so that object keeps insertion
+            // order even for numeric paths (used for LRU eviction)
+            var entries = {};
+            var size = 0;
+            var inFlight = {};
+            var database = null;
+
+            function key(path) {
+                return ' ' + path;
+            }
+
+            function isFresh(entry) {
+                return Date.now() - entry.time < options.ttl;
+            }
+
+            function remove(path) {
+                if (entries.hasOwnProperty(key(path))) {
+                    delete entries[key(path)];
+                    size--;
+                    if (database != null) {
+                        database.transaction('entries', 'readwrite')
+                            .objectStore('entries')
+                            .delete(path);
+                    }
+                }
+            }
+
+            function put(entry, persist) {
+                remove(entry.key);
+                entries[key(entry.key)] = entry;
+                size++;
+                if (size > options.maxEntries) {
+                    // The first entry is the least recently used one
+                    for (var oldest in entries) {
+                        remove(entries[oldest].key);
+                        break;
+                    }
+                }
+                if (persist && database != null) {
+                    database.transaction('entries', 'readwrite')
+                        .objectStore('entries')
+                        .put(entry);
+                }
+            }
+
+            function get(path) {
+                var entry = entries[key(path)];
+                if (entry == null) {
+                    return null;
+                }
+                if (!isFresh(entry)) {
+                    remove(path);
+                    return null;
+                }
+                // Move to the end as the most recently used
+                delete entries[key(path)];
+                entries[key(path)] = entry;
+                return entry;
+            }
+
+            this.load = function(callback, errorCallback) {
+                if (!options.persist || !window.indexedDB) {
+                    provider.load(callback, errorCallback);
+                    return;
+                }
+                openIndexedDb('ru.kozobrodov.fileTree.cache$' + id, function(db) {
+                    database = db;
+                    if (db == null) {
+                        provider.load(callback, errorCallback);
+                        return;
+                    }
+                    var request = db.transaction('entries').objectStore('entries').openCursor();
+                    request.onsuccess = function() {
+                        var cursor = request.result;
+                        if (cursor != null) {
+                            if (isFresh(cursor.value)) {
+                                put(cursor.value, false);
+                            }
+                            cursor.continue();
+                        } else {
+                            provider.load(callback, errorCallback);
+                        }
+                    };
+                    request.onerror = function() {
+                        provider.load(callback, errorCallback);
+                    };
+                });
+            }
+
+            /**
+             * Returns cached listing if it's fresh, otherwise loads
+             * it. Concurrent requests for the same path share the
+             * single request to wrapped provider, unless the path
+             * was invalidated after that request was started
+             */
+            this.list = function(path, callback, errorCallback) {
+                var entry = get(path);
+                if (entry != null) {
+                    callback(entry.data, entry.page);
+                    return;
+                }
+                if (inFlight.hasOwnProperty(path)) {
+                    inFlight[path].push({callback: callback, errorCallback: errorCallback});
+                    return;
+                }
+                var waiting = [{callback: callback, errorCallback: errorCallback}];
+                inFlight[path] = waiting;
+                function finish() {
+                    var current = inFlight[path] === waiting;
+                    if (current) {
+                        delete inFlight[path];
+                    }
+                    return current;
+                }
+                provider.list(path, function(data, page) {
+                    // Listing loaded before invalidation isn't cached
+                    if (finish()) {
+                        put({key: path, data: data, page: page || null, time: Date.now()}, true);
+                    }
+                    waiting.forEach(function(e) {
+                        e.callback(data, page);
+                    });
+                }, function(error) {
+                    finish();
+                    waiting.forEach(function(e) {
+                        e.errorCallback(error);
+                    });
+                });
+            }
+
+            /**
+             * Removes cached listings of the directory with specified
+             * path and all directories within it, the whole cache is
+             * cleared if path isn't specified
+             */
+            this.invalidate = function(path) {
+                function affected(entryPath) {
+                    return path == null || entryPath === path || isAncestor(path, entryPath);
+                }
+                for (var k in entries) {
+                    if (affected(entries[k].key)) {
+                        remove(entries[k].key);
+                    }
+                }
+                // Requests started before are neither shared nor cached
+                for (var inFlightPath in inFlight) {
+                    if (affected(inFlightPath)) {
+                        delete inFlight[inFlightPath];
+                    }
+                }
+            }
+
+            // Everything else is delegated to wrapped provider
+            for (var method in provider) {
+                if (typeof provider[method] === 'function' && !this.hasOwnProperty(method)) {
+                    this[method] = provider[method].bind(provider);
+                }
+            }
+        }
+        return new CachingDataProvider();
+    }
+
+    /**
+     * Central part of this plugin, responsible for rendering,
+     * UI behaviour and data/state orchestration,
+     * `element` is the one tree is created on
+     */
+    function Core(settings, element) {
+        /**
+         * Transform file name using the following rules:
+         * - If file name is empty, it's a root directory
+         *   and special element presenting it must be returned
+         * - If name is too long (more than 40 symbols), it must
+         *   be shortened using special '<...>' filler
+         * - Name itself must be returned in all other cases
+         * - Characters of name within `[start, end]` ranges
+         *   from `matches` must be highlighted
+         */
+        function extractFileName(name, matches) {
+            if (name === "") { // Extra case - root directory
+                return $('<span>').addClass('meta').append('&lt;root&gt;');
+            }
+            var shortened = name.length > 40;
+            var visibleName = shortened ? name.substring(0, 30) : name;
+            var result = [];
+            var position = 0;
+            (matches || []).forEach(function(range) {
+                var start = Math.max(range[0], position);
+                var end = Math.min(range[1], visibleName.length);
+                if (start >= end) {
+                    return;
+                }
+                result.push(document.createTextNode(visibleName.substring(position, start)));
+                result.push($('<mark>').text(visibleName.substring(start, end))[0]);
+                position = end;
+            });
+            result.push(document.createTextNode(visibleName.substring(position)));
+            if (shortened) {
+                result.push($('<span class="meta">&lt;...&gt;</span>')[0]);
+            }
+            return result;
+        }
+
+        /**
+         * Creates icon of file, it's resolved by `iconResolver`,
+         * then by `typeToIconClassMap` and `extensionToIconClassMap`
+         * and gets badge from `typeToBadgeMap` and `extensionToBadgeMap`
+         * (see `defaultConfig`)
+         */
+        function renderIcon(fileData) {
+            var resolved = settings.iconResolver != null
+                ? settings.iconResolver(fileData)
+                : null;
+            if (resolved == null || typeof resolved !== 'object') {
+                resolved = {icon: resolved};
+            }
+            var icon = $('<i>').addClass('treeIcon');
+            var value = resolved.icon;
+            if (resolved.url != null) {
+                icon.addClass('treeIconImage').append($('<img>').attr({src: resolved.url, alt: ''}));
+            } else {
+                if (value == null) {
+                    value = lookupByFileType(
+                        settings.typeToIconClassMap,
+                        settings.extensionToIconClassMap,
+                        fileData
+                    ) || settings.defaultIconClass;
+                }
+                if (/^\s*</.test(value)) {
+                    // SVG markup
+                    icon.addClass('treeIconImage').html(value);
+                } else {
+                    icon.addClass(value);
+                }
+            }
+            var badge = resolved.hasOwnProperty('badge')
+                ? resolved.badge
+                : lookupByFileType(settings.typeToBadgeMap, settings.extensionToBadgeMap, fileData);
+            if (badge != null && badge !== '') {
+                icon.attr('data-badge', badge);
+            }
+            return icon;
+        }
+
+        function getLoader() {
+            return $('<div>').addClass('loader');
+        }
+
+        /**
+         * Copies tree nodes without their children. `FileData` objects
+         * are shared with data provider, as they aren't changed by tree,
+         * so that huge directories are copied quickly
+         */
+        function copyChildren(children) {
+            var result = new Array(children.length);
+            for (var i = 0; i < children.length; i++) {
+                var child = children[i];
+                if (isPseudoNode(child)) {
+                    result[i] = child; // No need to copy that
+                } else if (child.fileData.expandable) {
+                    result[i] = {fileData: child.fileData, children: []};
+                } else {
+                    result[i] = {fileData: child.fileData};
+                }
+            }
+            return result;
+        }
+
+        /**
+         * Returns root of the tree which is currently shown:
+         * either search results or current state
+         */
+        function currentTree() {
+            if (filter != null) {
+                return filter.tree.root;
+            }
+            return settings.stateHolder.getCurrentState();
+        }
+
+        /**
+         * Returns sort options of directory, see `sort` option
+         * and `changeSort`. Sort chosen for directory by user
+         * overrides custom comparator
+         */
+        function sortOf(path) {
+            return sorts.hasOwnProperty(path)
+                ? $.extend({}, settings.sort, sorts[path], {comparator: null})
+                : settings.sort;
+        }
+
+        /**
+         * Sorts children of directory, pseudo-nodes are kept
+         * after files
+         */
+        function sortChildren(path, children) {
+            var files = [];
+            var pseudoNodes = [];
+            children.forEach(function(child) {
+                (isPseudoNode(child) ? pseudoNodes : files).push(child);
+            });
+            return files.sort(createNodeComparator(sortOf(path))).concat(pseudoNodes);
+        }
+
+        /**
+         * Changes sort of single directory (`by` is key of `sort`
+         * option or `null` to use the default one), choice is
+         * stored by state holder if it supports that
+         */
+        function changeSort(path, by, order) {
+            if (by == null) {
+                delete sorts[path];
+            } else {
+                sorts[path] = {by: by, order: order === 'desc' ? 'desc' : 'asc'};
+            }
+            if (typeof settings.stateHolder.saveSort === 'function') {
+                settings.stateHolder.saveSort(sorts);
+            }
+            var node = findNode(path);
+            if (node == null) {
+                return;
+            }
+            if (isExpanded(node)) {
+                view.showChildrenUpdated(path, addNodes(path, sortChildren(path, node.children)), {});
+            }
+            trigger('sort', [node.fileData, path, sortOf(path)]);
+        }
+
+        /**
+         * Marks children of archives and read-only directories
+         * as read-only, as files within them cannot be changed.
+         * Marked `FileData` is copied, as it's shared with data
+         * provider (see `copyChildren`)
+         */
+        function markReadOnly(parent, children) {
+            if (parent != null && (parent.fileData.readOnly || isArchive(parent.fileData))) {
+                children.forEach(function(child) {
+                    if (!isPseudoNode(child) && !child.fileData.readOnly) {
+                        child.fileData = $.extend({}, child.fileData, {readOnly: true});
+                    }
+                });
+            }
+            return children;
+        }
+
+        /**
+         * Stores loaded children of the node. While search results
+         * are shown, they are stored only within results tree, so
+         * that state is restored when search is cleared
+         */
+        function addNodes(path, children) {
+            markReadOnly(findNode(path), children);
+            var node = filter != null
+                ? filter.tree.set(path, children)
+                : settings.stateHolder.addNodes(path, children);
+            updateRows(path);
+            return node;
+        }
+
+        function clearNode(path) {
+            if (filter != null) {
+                filter.tree.clear(path);
+            } else {
+                settings.stateHolder.clearNode(path);
+            }
+            updateRows(path);
+        }
+
+        /**
+         * Node is considered expanded if its children
+         * were loaded and are shown
+         */
+        function isExpanded(node) {
+            return node.fileData.expandable
+                && node.children != null
+                && node.children.length > 0;
+        }
+
+        /**
+         * Returns flat list of nodes in the order they are shown
+         * (including `<empty>` pseudo-nodes). Every entry holds
+         * node itself, its level (root has level 1 unless `level`
+         * is specified), path of its parent, its position among
+         * siblings and number of siblings
+         */
+        function flattenTree(root, level) {
+            var result = [];
+            function walk(node, level, parentPath, position, size) {
+                result.push({
+                    node: node,
+                    level: level,
+                    parentPath: parentPath,
+                    position: position,
+                    size: size
+                });
+                if (isPseudoNode(node) || !isExpanded(node)) {
+                    return;
+                }
+                var children = childrenWithUploads(node);
+                var childrenSize = 0;
+                for (var i = 0; i < children.length; i++) {
+                    if (!isPseudoNode(children[i])) {
+                        childrenSize++;
+                    }
+                }
+                var childPosition = 0;
+                children.forEach(function(child) {
+                    walk(
+                        child,
+                        level + 1,
+                        node.fileData.path,
+                        isPseudoNode(child) ? 0 : ++childPosition,
+                        childrenSize
+                    );
+                });
+            }
+            walk(root, level || 1, null, 1, 1);
+            return result;
+        }
+
+        /**
+         * Returns flattened tree which is currently shown: `all` rows
+         * (see `flattenTree`) and `visible` rows without pseudo-nodes.
+         * Result is cached until the tree is changed
+         */
+        function shownRows() {
+            if (rowsCache == null) {
+                var all = flattenTree(currentTree());
+                rowsCache = {
+                    all: all,
+                    visible: all.filter(function(row) {
+                        return !isPseudoNode(row.node);
+                    }),
+                    visibleIndex: null // Built on demand, see `indexOfPath`
+                };
+            }
+            return rowsCache;
+        }
+
+        /**
+         * Replaces rows of descendants of node with specified path
+         * within cached flattened tree (see `shownRows`) once its
+         * children are changed, so that the whole tree isn't
+         * flattened again when huge directory is expanded
+         */
+        function updateRows(path) {
+            var rows = rowsCache;
+            rowsCache = null;
+            if (rows == null) {
+                return;
+            }
+            var visibleIndex = rows.visibleIndex != null && rows.visibleIndex.hasOwnProperty(path)
+                ? rows.visibleIndex[path]
+                : -1;
+            if (visibleIndex < 0) {
+                // Index isn't built, rows are searched without it
+                for (var i = 0; i < rows.visible.length; i++) {
+                    if (rows.visible[i].node.fileData.path === path) {
+                        visibleIndex = i;
+                        break;
+                    }
+                }
+            }
+            if (visibleIndex < 0) {
+                return; // Node isn't shown
+            }
+            var row = rows.visible[visibleIndex];
+            function subtreeEnd(list, start) {
+                var end = start + 1;
+                while (end < list.length && list[end].level > row.level) {
+                    end++;
+                }
+                return end;
+            }
+            var index = rows.all.indexOf(row, visibleIndex);
+            // State holder could replace node, so it's found again
+            var node = findNode(path);
+            if (node == null) {
+                return;
+            }
+            var subtree = flattenTree(node, row.level);
+            subtree[0] = $.extend({}, row, {node: node});
+            var visibleSubtree = subtree.filter(function(subtreeRow) {
+                return !isPseudoNode(subtreeRow.node);
+            });
+            rowsCache = {
+                all: rows.all.slice(0, index)
+                    .concat(subtree, rows.all.slice(subtreeEnd(rows.all, index))),
+                visible: rows.visible.slice(0, visibleIndex)
+                    .concat(visibleSubtree, rows.visible.slice(subtreeEnd(rows.visible, visibleIndex))),
+                visibleIndex: null
+            };
+        }
+
+        /**
+         * Returns flat list of visible nodes of the tree in the
+         * order they are shown (see `flattenTree`), pseudo-nodes
+         * are skipped. Tree which is currently shown is used if
+         * `root` isn't specified
+         */
+        function visibleNodes(root) {
+            if (root == null) {
+                return shownRows().visible;
+            }
+            return flattenTree(root).filter(function(row) {
+                return !isPseudoNode(row.node);
+            });
+        }
+
+        /**
+         * Returns index of node with specified path within
+         * `visibleNodes()` or -1 if it isn't visible
+         */
+        function indexOfPath(path) {
+            var rows = shownRows();
+            if (rows.visibleIndex == null) {
+                rows.visibleIndex = {};
+                rows.visible.forEach(function(row, index) {
+                    rows.visibleIndex[row.node.fileData.path] = index;
+                });
+            }
+            var index = rows.visibleIndex[path];
+            return index != null ? index : -1;
+        }
+
+        /**
+         * Returns rendered item (`span` element) by file path
+         */
+        function findItem(path) {
+            return container.find('span[path="' + $.escapeSelector(path) + '"]');
+        }
+
+        /**
+         * Moves roving focus to item with specified path, so that
+         * it's the only item of the tree reachable by `Tab` key.
+         * Unless `moveFocus` is `false`, item is scrolled into
+         * view and gets DOM focus
+         */
+        function focusPath(path, moveFocus) {
+            container.find('span[tabindex="0"]').attr('tabindex', '-1');
+            focusedPath = path;
+            if (moveFocus !== false) {
+                view.scrollTo(path);
+            }
+            var item = findItem(path).attr('tabindex', '0');
+            if (moveFocus !== false) {
+                item.focus();
+            }
+        }
+
+        /**
+         * Returns visible node by its path or `null`. Unless index
+         * of visible rows is already built, node is searched along
+         * its ancestors, so that huge directory is collapsed without
+         * indexing all its children
+         */
+        function findNode(path) {
+            if (rowsCache != null && rowsCache.visibleIndex != null) {
+                var index = indexOfPath(path);
+                return index < 0 ? null : rowsCache.visible[index].node;
+            }
+            var node = currentTree();
+            while (node.fileData.path !== path) {
+                if (!isExpanded(node)) {
+                    return null;
+                }
+                var next = null;
+                for (var i = 0; i < node.children.length; i++) {
+                    var child = node.children[i];
+                    if (!isPseudoNode(child)
+                        && (child.fileData.path === path || isAncestor(child.fileData.path, path))) {
+                        next = child;
+                        break;
+                    }
+                }
+                if (next == null) {
+                    return null;
+                }
+                node = next;
+            }
+            return node;
+        }
+
+        /**
+         * Triggers `fileTree:<name>` event on holder element. Returns
+         * event object, so that caller can check whether default
+         * action was prevented by some listener
+         */
+        function trigger(name, args) {
+            var event = $.Event('fileTree:' + name);
+            holder.trigger(event, args);
+            return event;
+        }
+
+        /**
+         * Loads and renders children of the node, optional
+         * `callback` is called once node is expanded and optional
+         * `errorCallback` gets error if it can't be expanded (loading
+         * failed or `fileTree:beforeexpand` event was prevented)
+         */
+        function expand(path, callback, errorCallback) {
+            var node = findNode(path);
+            if (node == null || !node.fileData.expandable) {
+                return;
+            }
+            if (isExpanded(node)) {
+                if (callback) callback();
+                return;
+            }
+            if (loadingPaths.hasOwnProperty(path)) {
+                loadingPaths[path].push({callback: callback, errorCallback: errorCallback});
+                return;
+            }
+            var fileData = node.fileData;
+            if (trigger('beforeexpand', [fileData, path]).isDefaultPrevented()) {
+                if (errorCallback) errorCallback(new Error('Expanding was prevented: ' + path));
+                return;
+            }
+            loadingPaths[path] = [{callback: callback, errorCallback: errorCallback}];
+            view.showLoading(path);
+            function finishLoading() {
+                var waiting = loadingPaths[path];
+                delete loadingPaths[path];
+                view.showLoading(path);
+                return waiting;
+            }
+
+            settings.dataProvider.list(path, function(data, page) {
+                if (container == null) {
+                    return; // Tree was destroyed while loading
+                }
+                trigger('load', [fileData, path, data.map(function(node) {
+                    return node.fileData;
+                })]);
+                var children = copyChildren(data);
+                if (children.length == 0) {
+                    var emptyNode = {empty:true};
+                    children.push(emptyNode);
+                }
+                if (page != null) {
+                    children.push(createMoreNode(page, data.length, data.length));
+                }
+                var waiting = finishLoading();
+                view.showExpanded(path, addNodes(path, sortChildren(path, children)));
+                trigger('expand', [fileData, path]);
+                waiting.forEach(function(e) {
+                    if (e.callback) e.callback();
+                });
+            }, function(error) {
+                if (container == null) {
+                    return;
+                }
+                var waiting = finishLoading();
+                trigger('loaderror', [fileData, path, error]);
+                waiting.forEach(function(e) {
+                    if (e.errorCallback) e.errorCallback(error);
+                });
+            });
+        }
+
+        /**
+         * Creates pseudo-node for partially loaded directory,
+         * `loaded` is number of loaded children and `pageSize`
+         * is number of children loaded with the last page
+         */
+        function createMoreNode(page, loaded, pageSize) {
+            var node = {more: true, cursor: page.cursor, count: pageSize};
+            if (page.total != null) {
+                node.total = page.total;
+                node.count = Math.min(pageSize, page.total - loaded);
+            }
+            return node;
+        }
+
+        /**
+         * Loads next page of partially loaded directory and appends
+         * it (sorted on its own, so that shown items stay in place)
+         * to loaded children, optional `callback` gets path of the
+         * first loaded child
+         */
+        function loadMore(path, callback) {
+            var node = findNode(path);
+            if (node == null || loadingPaths.hasOwnProperty(path)) {
+                return;
+            }
+            var moreNode = node.children[node.children.length - 1];
+            if (!moreNode.more) {
+                return;
+            }
+            loadingPaths[path] = [];
+            container.find('span.loadMore').filter(function() {
+                return $(this).attr('parent') === path;
+            }).empty().append(getLoader());
+
+            settings.dataProvider.listMore(path, moreNode.cursor, function(data, page) {
+                if (container == null) {
+                    return;
+                }
+                delete loadingPaths[path];
+                trigger('load', [node.fileData, path, data.map(function(node) {
+                    return node.fileData;
+                })]);
+                var children = node.children.slice(0, -1);
+                var first = children.length;
+                children = children.concat(sortChildren(path, copyChildren(data)));
+                if (page != null) {
+                    children.push(createMoreNode(page, children.length, data.length));
+                }
+                view.showChildrenChanged(path, addNodes(path, children));
+                if (callback && data.length > 0) {
+                    callback(children[first].fileData.path);
+                }
+            }, function(error) {
+                if (container == null) {
+                    return;
+                }
+                delete loadingPaths[path];
+                view.showChildrenChanged(path, node);
+                trigger('loaderror', [node.fileData, path, error]);
+            });
+        }
+
+        /**
+         * Lists directory page by page until at least `count` children
+         * are loaded or there are no more pages. Callback gets array
+         * of loaded pages (arrays of nodes) and page info of the last
+         * one (see `dataProvider`)
+         */
+        function listPages(path, count, callback, errorCallback) {
+            var pages = [];
+            var loaded = 0;
+            function receive(data, page) {
+                if (container == null) {
+                    return; // Tree was destroyed while loading
+                }
+                pages.push(data);
+                loaded += data.length;
+                if (page != null && loaded < count && data.length > 0
+                        && typeof settings.dataProvider.listMore === 'function') {
+                    settings.dataProvider.listMore(path, page.cursor, receive, errorCallback);
+                } else {
+                    callback(pages, page);
+                }
+            }
+            settings.dataProvider.list(path, receive, errorCallback);
+        }
+
+        /**
+         * Reloads children of expanded node and, recursively, of its
+         * expanded descendants. Children which are still present keep
+         * their loaded subtrees, so that nothing is collapsed, and
+         * only added, removed or changed items are re-rendered.
+         * Partially loaded directory is reloaded page by page until as
+         * many children as were loaded are listed again, children which
+         * were shown after all listed ones are not considered removed.
+         * Optional `callback` gets paths of removed nodes
+         */
+        function refresh(path, callback) {
+            var node = findNode(path);
+            if (node == null || !isExpanded(node) || loadingPaths.hasOwnProperty(path)) {
+                if (callback) callback([]);
+                return;
+            }
+            if (typeof settings.dataProvider.invalidate === 'function') {
+                settings.dataProvider.invalidate(path);
+            }
+            var fileData = node.fileData;
+            loadingPaths[path] = [];
+            view.showLoading(path);
+
+            var previous = {};
+            var positions = {};
+            var loaded = 0;
+            node.children.forEach(function(child) {
+                if (!isPseudoNode(child)) {
+                    previous[child.fileData.path] = child;
+                    positions[child.fileData.path] = loaded++;
+                }
+            });
+            listPages(path, loaded, function(pages, page) {
+                delete loadingPaths[path];
+                view.showLoading(path);
+                var data = [].concat.apply([], pages);
+                trigger('load', [fileData, path, data.map(function(node) {
+                    return node.fileData;
+                })]);
+                // Pages are sorted one by one, as they were once loaded
+                var sorted = pages.map(function(pageData) {
+                    return sortChildren(path, copyChildren(pageData));
+                });
+
+                var changed = {};
+                var expanded = [];
+                var lastListed = -1; // Position of the last listed again child
+                // Marked the same way as loaded ones, so that they're compared as is
+                var children = markReadOnly(node, [].concat.apply([], sorted));
+                children.forEach(function(child) {
+                    var childPath = child.fileData.path;
+                    var old = previous[childPath];
+                    delete previous[childPath];
+                    if (old != null) {
+                        lastListed = Math.max(lastListed, positions[childPath]);
+                    }
+                    if (old == null
+                            || JSON.stringify(old.fileData) !== JSON.stringify(child.fileData)) {
+                        changed[childPath] = true;
+                    }
+                    if (old != null && child.fileData.expandable && isExpanded(old)) {
+                        child.children = old.children;
+                        expanded.push(childPath);
+                    }
+                });
+                if (children.length == 0) {
+                    children.push({empty:true});
+                }
+                if (page != null) {
+                    children.push(createMoreNode(page, data.length, pages[pages.length - 1].length));
+                }
+
+                // Children which weren't listed again and were shown
+                // after all listed ones can be within the next pages
+                var removed = Object.keys(previous).filter(function(childPath) {
+                    return page == null || positions[childPath] < lastListed;
+                });
+                forgetRemoved(removed, path);
+
+                view.showChildrenUpdated(path, addNodes(path, children), changed);
+
+                // Refresh expanded children one by one
+                function next(index) {
+                    if (index == expanded.length) {
+                        if (callback) callback(removed);
+                        return;
+                    }
+                    refresh(expanded[index], function(removedChildren) {
+                        removed = removed.concat(removedChildren);
+                        next(index + 1);
+                    });
+                }
+                next(0);
+            }, function(error) {
+                if (container == null) {
+                    return;
+                }
+                delete loadingPaths[path];
+                view.showLoading(path);
+                trigger('loaderror', [fileData, path, error]);
+                if (callback) callback([]);
+            });
+        }
+
+        function collapse(path) {
+            var node = findNode(path);
+            if (node == null || !isExpanded(node)) {
+                return;
+            }
+            if (isAncestor(path, focusedPath)) {
+                // Focused item is going to disappear
+                focusPath(path, $.contains(container[0], document.activeElement));
+            }
+            clearNode(path);
+            view.showCollapsed(path);
+            trigger('collapse', [node.fileData, path]);
+        }
+
+        /**
+         * Notifies listeners that user wants to open the file
+         * (double click or `Enter` on non-expandable node)
+         */
+        function activate(path) {
+            var node = findNode(path);
+            if (node != null && !node.fileData.expandable) {
+                trigger('activate', [node.fileData, path]);
+            }
+        }
+
+        /**
+         * Returns array of `FileData` objects of selected nodes
+         */
+        function getSelection() {
+            return Object.keys(selection).map(function(path) {
+                return selection[path];
+            });
+        }
+
+        /**
+         * Replaces current selection, updates rendered items
+         * and notifies listeners if selection was changed
+         */
+        function changeSelection(fileDataList) {
+            var newSelection = {};
+            fileDataList.forEach(function(fileData) {
+                newSelection[fileData.path] = fileData;
+            });
+            var oldPaths = Object.keys(selection);
+            var changed = oldPaths.length != fileDataList.length
+                || oldPaths.some(function(path) {
+                    return !newSelection.hasOwnProperty(path);
+                });
+            if (!changed) {
+                return;
+            }
+            selection = newSelection;
+
+            container.find('span[path]').each(function() {
+                var item = $(this);
+                var selected = selection.hasOwnProperty(item.attr('path'));
+                item.toggleClass('selected', selected)
+                    .attr('aria-selected', selected ? 'true' : 'false');
+            });
+            if (settings.persistSelection
+                    && typeof settings.stateHolder.saveSelection === 'function') {
+                settings.stateHolder.saveSelection(getSelection());
+            }
+            updateDeepLink(fileDataList.length > 0
+                ? fileDataList[fileDataList.length - 1].path
+                : null);
+            trigger('selectionchange', [getSelection()]);
+            updatePreview();
+        }
+
+        /**
+         * Name of location hash parameter used for deep
+         * links to nodes of this tree (see `deepLink`)
+         */
+        function deepLinkParameter() {
+            return settings.treeId !== '' ? 'path.' + settings.treeId : 'path';
+        }
+
+        /**
+         * Puts path of selected or revealed node into location hash
+         */
+        function updateDeepLink(path) {
+            if (settings.deepLink) {
+                setHashParameter(deepLinkParameter(), path);
+            }
+        }
+
+        /**
+         * Reveals, selects and scrolls to node which path
+         * is stored in location hash (see `deepLink`)
+         */
+        function followDeepLink() {
+            var path = getHashParameters()[deepLinkParameter()];
+            if (path == null || container == null || selection.hasOwnProperty(path)) {
+                return;
+            }
+            expandParents(path, function() {
+                if (findNode(path) == null) {
+                    console.error("No node was found by path: " + path);
+                    return;
+                }
+                select(path, 'replace');
+                focusPath(path, false);
+                view.scrollTo(path);
+            });
+        }
+
+        /**
+         * Selects visible node by its path. Supported modes:
+         * - `replace` - node becomes the only selected one
+         * - `toggle` - node is added to selection or removed
+         *   from it if it's already selected
+         * - `range` - all visible nodes between selection anchor
+         *   (last node selected in other modes) and this node
+         *   become selected
+         */
+        function select(path, mode) {
+            if (settings.selectionMode === 'none') {
+                return;
+            }
+            var rows = visibleNodes();
+            var index = indexOfPath(path);
+            if (index < 0) {
+                return;
+            }
+            var fileData = rows[index].node.fileData;
+            var selected = selection.hasOwnProperty(path);
+            if (settings.selectionMode !== 'multiple') {
+                changeSelection(mode === 'toggle' && selected ? [] : [fileData]);
+                selectionAnchor = path;
+                return;
+            }
+
+            switch (mode) {
+                case 'toggle':
+                    var fileDataList = getSelection().filter(function(e) {
+                        return e.path !== path;
+                    });
+                    if (!selected) {
+                        fileDataList.push(fileData);
+                    }
+                    changeSelection(fileDataList);
+                    selectionAnchor = path;
+                    break;
+                case 'range':
+                    var anchorIndex = indexOfPath(selectionAnchor);
+                    if (anchorIndex < 0) {
+                        anchorIndex = index;
+                        selectionAnchor = path;
+                    }
+                    changeSelection(rows
+                        .slice(Math.min(index, anchorIndex), Math.max(index, anchorIndex) + 1)
+                        .map(function(row) {
+                            return row.node.fileData;
+                        }));
+                    break;
+                default:
+                    changeSelection([fileData]);
+                    selectionAnchor = path;
+            }
+        }
+
+        /*
+         * Checkboxes (see `checkboxes`). Checked nodes are kept as
+         * minimal set of paths: path of checked directory means that
+         * all its descendants are checked too, even not loaded ones.
+         */
+
+        /**
+         * Returns `'true'`, `'mixed'` (some descendants are checked)
+         * or `'false'`
+         */
+        function checkState(path) {
+            if (checked.hasOwnProperty(path) || parentPaths(path).some(function(parentPath) {
+                return checked.hasOwnProperty(parentPath);
+            })) {
+                return 'true';
+            }
+            for (var checkedPath in checked) {
+                if (isAncestor(path, checkedPath)) {
+                    return 'mixed';
+                }
+            }
+            return 'false';
+        }
+
+        function renderCheckState(item) {
+            var state = checkState(item.attr('path'));
+            item.attr('aria-checked', state);
+            item.find('input.treeCheckbox').prop({
+                checked: state === 'true',
+                indeterminate: state === 'mixed'
+            });
+        }
+
+        /**
+         * Lists all children of directory using data provider,
+         * loading all pages of it
+         */
+        function listAll(path, callback, errorCallback) {
+            var result = [];
+            function loaded(data, page) {
+                result = result.concat(data.map(function(node) {
+                    return node.fileData;
+                }));
+                if (page != null && page.cursor != null) {
+                    settings.dataProvider.listMore(path, page.cursor, loaded, errorCallback);
+                } else {
+                    callback(result);
+                }
+            }
+            settings.dataProvider.list(path, loaded, errorCallback);
+        }
+
+        /**
+         * Passes paths of all children of directory to callback,
+         * loaded children are used if all pages of them are loaded
+         */
+        function childPaths(path, callback, errorCallback) {
+            var node = findNode(path);
+            if (node != null && isExpanded(node) && !node.children[node.children.length - 1].more) {
+                callback(node.children.filter(function(child) {
+                    return !isPseudoNode(child);
+                }).map(function(child) {
+                    return child.fileData.path;
+                }));
+                return;
+            }
+            listAll(path, function(fileDataList) {
+                callback(fileDataList.map(function(fileData) {
+                    return fileData.path;
+                }));
+            }, errorCallback);
+        }
+
+        /**
+         * Replaces checked children by their parent if all of
+         * them are checked
+         */
+        function collapseChecked(path, callback) {
+            var parentPath = getParentPath(path);
+            if (parentPath == null) {
+                callback();
+                return;
+            }
+            childPaths(parentPath, function(paths) {
+                if (paths.every(function(childPath) {
+                    return checked.hasOwnProperty(childPath);
+                })) {
+                    paths.forEach(function(childPath) {
+                        delete checked[childPath];
+                    });
+                    checked[parentPath] = true;
+                    collapseChecked(parentPath, callback);
+                } else {
+                    callback();
+                }
+            }, function() {
+                callback(); // Set isn't minimal, but it's still valid
+            });
+        }
+
+        /**
+         * Updates rendered items, stores checked paths and
+         * notifies listeners
+         */
+        function checkedChanged() {
+            container.find('span[path]').each(function() {
+                renderCheckState($(this));
+            });
+            if (typeof settings.stateHolder.saveChecked === 'function') {
+                settings.stateHolder.saveChecked(Object.keys(checked));
+            }
+            trigger('checkchange', [Object.keys(checked)]);
+        }
+
+        /**
+         * Checks or unchecks node with all its descendants
+         */
+        function setChecked(path, value, callback) {
+            function finish() {
+                if (container == null) {
+                    return;
+                }
+                checkedChanged();
+                if (callback) callback();
+            }
+            for (var checkedPath in checked) {
+                if (isAncestor(path, checkedPath)) {
+                    delete checked[checkedPath];
+                }
+            }
+            if (value) {
+                if (checkState(path) !== 'true') {
+                    checked[path] = true;
+                    collapseChecked(path, finish);
+                } else {
+                    finish();
+                }
+                return;
+            }
+            if (checked.hasOwnProperty(path)) {
+                delete checked[path];
+                finish();
+                return;
+            }
+            var checkedParent = parentPaths(path).filter(function(parentPath) {
+                return checked.hasOwnProperty(parentPath);
+            })[0];
+            if (checkedParent == null) {
+                finish();
+                return;
+            }
+            // Checked parent is replaced by its children except the
+            // ones on the way to unchecked node
+            var previous = $.extend({}, checked);
+            delete checked[checkedParent];
+            function split(parentPath) {
+                childPaths(parentPath, function(paths) {
+                    var next = null;
+                    paths.forEach(function(childPath) {
+                        if (childPath === path) {
+                            return;
+                        }
+                        if (isAncestor(childPath, path)) {
+                            next = childPath;
+                        } else {
+                            checked[childPath] = true;
+                        }
+                    });
+                    if (next != null) {
+                        split(next);
+                    } else {
+                        finish();
+                    }
+                }, function(error) {
+                    if (container != null) {
+                        checked = previous; // Leave it as it was
+                        showOperationError(parentPath, error);
+                    }
+                });
+            }
+            split(checkedParent);
+        }
+
+        /**
+         * Passes `FileData` of all checked files to callback,
+         * contents of checked directories and archives are listed
+         * using data provider (so they're not included themselves)
+         */
+        function getCheckedFiles(callback, errorCallback) {
+            var result = [];
+            var pending = 1;
+            var failed = false;
+            function done() {
+                if (--pending == 0 && !failed) {
+                    callback(result);
+                }
+            }
+            function fail(error) {
+                if (!failed) {
+                    failed = true;
+                    if (errorCallback) errorCallback(error);
+                }
+            }
+            function collect(fileData) {
+                if (!fileData.expandable) {
+                    result.push(fileData);
+                    return;
+                }
+                pending++;
+                listAll(fileData.path, function(fileDataList) {
+                    fileDataList.forEach(collect);
+                    done();
+                }, fail);
+            }
+            Object.keys(checked).forEach(function(path) {
+                var node = findNode(path);
+                if (node != null) {
+                    collect(node.fileData);
+                    return;
+                }
+                // Node isn't loaded, its `FileData` is found in parent
+                pending++;
+                listAll(getParentPath(path), function(fileDataList) {
+                    fileDataList.filter(function(fileData) {
+                        return fileData.path === path;
+                    }).forEach(collect);
+                    done();
+                }, fail);
+            });
+            done();
+        }
+
+        /**
+         * Moves focus to `parentPath` if focused node is removed and
+         * removes nodes with specified paths (and their descendants)
+         * from selection
+         */
+        function forgetRemoved(removed, parentPath) {
+            function isRemoved(otherPath) {
+                return removed.some(function(removedPath) {
+                    return otherPath === removedPath || isAncestor(removedPath, otherPath);
+                });
+            }
+            if (isRemoved(focusedPath)) {
+                focusPath(parentPath, $.contains(container[0], document.activeElement));
+            }
+            var selected = getSelection();
+            var stillSelected = selected.filter(function(fileData) {
+                return !isRemoved(fileData.path);
+            });
+            if (stillSelected.length < selected.length) {
+                changeSelection(stillSelected);
+            }
+            var uncheck = Object.keys(checked).filter(isRemoved);
+            if (uncheck.length > 0) {
+                uncheck.forEach(function(path) {
+                    delete checked[path];
+                });
+                checkedChanged();
+            }
+        }
+
+        /*
+         * File operations (see `dataProvider` for their protocol).
+         * Tree is changed before data provider is called and the
+         * change is rolled back if operation fails.
+         */
+
+        function getParentPath(path) {
+            var parents = parentPaths(path);
+            return parents[parents.length - 1];
+        }
+
+        /**
+         * Checks whether directories can be created within node
+         */
+        function canCreateIn(node) {
+            return node != null
+                && node.fileData.type === 'directory'
+                && !node.fileData.readOnly
+                && typeof settings.dataProvider.createDirectory === 'function';
+        }
+
+        /**
+         * Checks whether node can be renamed or removed with data
+         * provider's `method`
+         */
+        function canModify(node, method) {
+            return node != null
+                && node.fileData.path !== ''
+                && !node.fileData.readOnly
+                && typeof settings.dataProvider[method] === 'function';
+        }
+
+        /**
+         * Moves focus and selection within subtree of node which
+         * is moved from `fromPath` to `node`
+         */
+        function followMove(fromPath, node) {
+            var toPath = node.fileData.path;
+            function newPath(path) {
+                return toPath + path.substring(fromPath.length);
+            }
+            if (focusedPath === fromPath || isAncestor(fromPath, focusedPath)) {
+                focusedPath = newPath(focusedPath);
+            }
+            var sorted = Object.keys(sorts).filter(function(path) {
+                return path === fromPath || isAncestor(fromPath, path);
+            });
+            if (sorted.length > 0) {
+                var movedSorts = {};
+                sorted.forEach(function(path) {
+                    movedSorts[newPath(path)] = sorts[path];
+                    delete sorts[path];
+                });
+                $.extend(sorts, movedSorts);
+                if (typeof settings.stateHolder.saveSort === 'function') {
+                    settings.stateHolder.saveSort(sorts);
+                }
+            }
+            var moved = Object.keys(checked).filter(function(path) {
+                return path === fromPath || isAncestor(fromPath, path);
+            });
+            if (moved.length > 0) {
+                moved.forEach(function(path) {
+                    delete checked[path];
+                });
+                moved.forEach(function(path) {
+                    if (checkState(newPath(path)) !== 'true') {
+                        checked[newPath(path)] = true;
+                    }
+                });
+                checkedChanged();
+            }
+            var selected = getSelection();
+            if (selected.some(function(fileData) {
+                return fileData.path === fromPath || isAncestor(fromPath, fileData.path);
+            })) {
+                changeSelection(selected.map(function(fileData) {
+                    if (fileData.path === fromPath) {
+                        return node.fileData;
+                    }
+                    if (isAncestor(fromPath, fileData.path)) {
+                        return $.extend({}, fileData, {path: newPath(fileData.path)});
+                    }
+                    return fileData;
+                }));
+            }
+        }
+
+        /**
+         * Returns node with `FileData` returned by data provider
+         * after operation. Loaded children are kept if path wasn't
+         * changed by data provider
+         */
+        function withFileData(node, fileData) {
+            var result = createFileNode(fileData);
+            if (fileData.path === node.fileData.path && fileData.expandable && node.children != null) {
+                result.children = node.children;
+            }
+            return result;
+        }
+
+        /**
+         * Returns description of the problem with new name of
+         * file within directory or `null` if name is fine
+         */
+        function checkName(parentPath, name, path) {
+            if (name.indexOf('/') >= 0) {
+                return 'File name cannot contain "/"';
+            }
+            var exists = findNode(parentPath).children.some(function(child) {
+                return !isPseudoNode(child)
+                    && child.fileData.name === name
+                    && child.fileData.path !== path;
+            });
+            return exists ? 'File "' + name + '" already exists' : null;
+        }
+
+        function invalidateCache(path) {
+            if (typeof settings.dataProvider.invalidate === 'function') {
+                settings.dataProvider.invalidate(path);
+            }
+        }
+
+        function errorMessage(error) {
+            if (error == null) {
+                return 'Operation failed';
+            }
+            if (error.responseJSON != null && error.responseJSON.message) {
+                return error.responseJSON.message;
+            }
+            return error.responseText || error.statusText || String(error);
+        }
+
+        function showOperationError(path, error) {
+            var node = findNode(path);
+            trigger('operationerror', [node != null ? node.fileData : null, path, error]);
+            view.showError(path, errorMessage(error));
+        }
+
+        /**
+         * Changes loaded children of expanded node with `transform`
+         * function which gets array of child nodes (without pseudo-nodes)
+         * and returns the new one. Only items of paths from `changed`
+         * are re-rendered. Nothing is done if node isn't expanded
+         */
+        function changeChildren(parentPath, transform, changed) {
+            var node = findNode(parentPath);
+            if (node == null || !isExpanded(node)) {
+                return;
+            }
+            var files = transform(node.children.filter(function(child) {
+                return !isPseudoNode(child);
+            }));
+            var children = files.length > 0 ? files.slice() : [{empty: true}];
+            var last = node.children[node.children.length - 1];
+            if (last.more) {
+                children.push(last);
+            }
+            var changedPaths = {};
+            changed.forEach(function(path) {
+                changedPaths[path] = true;
+            });
+            children = sortChildren(parentPath, children);
+            view.showChildrenUpdated(parentPath, addNodes(parentPath, children), changedPaths);
+        }
+
+        /**
+         * Shows inline editor instead of name of the item, callback
+         * gets entered name or `null` if editing is cancelled. Item
+         * must be re-rendered by callback
+         */
+        function editName(path, callback) {
+            var node = findNode(path);
+            if (node == null) {
+                callback(null); // Node was removed in the meantime
+                return;
+            }
+            view.scrollTo(path);
+            var item = findItem(path);
+            var finished = false;
+            var input = $('<input>')
+                .attr({type: 'text', 'aria-label': 'File name'})
+                .addClass('treeNameEditor')
+                .val(node.fileData.name);
+            function finish(name) {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                callback(name != null && name !== '' ? name : null);
+            }
+            input
+                .on('keydown', function(event) {
+                    event.stopPropagation(); // Not a tree navigation
+                    if (event.key === 'Enter') {
+                        finish($.trim(input.val()));
+                    } else if (event.key === 'Escape') {
+                        finish(null);
+                    } else {
+                        return;
+                    }
+                    event.preventDefault();
+                })
+                .on('click dblclick', function(event) {
+                    event.stopPropagation();
+                })
+                .on('blur', function() {
+                    finish($.trim(input.val()));
+                });
+            // Everything after icon is replaced
+            var nameHolder = item.children('.treeCellName');
+            if (nameHolder.length == 0) {
+                nameHolder = item;
+            }
+            var contents = nameHolder.contents();
+            contents.slice(contents.index(nameHolder.children('i').first()) + 2).remove();
+            nameHolder.append(input);
+            input.focus().select();
+        }
+
+        /**
+         * Creates directory within expanded node, name is asked
+         * with inline editor if it isn't specified
+         */
+        function createDirectory(parentPath, name, callback) {
+            if (!canCreateIn(findNode(parentPath))) {
+                return;
+            }
+            if (name == null) {
+                var placeholder = {
+                    fileData: {
+                        path: parentPath + '//new', // Cannot be path of real file
+                        name: 'New folder',
+                        type: 'directory',
+                        expandable: false
+                    }
+                };
+                changeChildren(parentPath, function(files) {
+                    return [placeholder].concat(files);
+                }, [placeholder.fileData.path]);
+                focusPath(placeholder.fileData.path, false);
+                editName(placeholder.fileData.path, function(name) {
+                    focusPath(parentPath, false);
+                    changeChildren(parentPath, function(files) {
+                        return files.filter(function(file) {
+                            return file !== placeholder;
+                        });
+                    }, [placeholder.fileData.path]);
+                    if (name != null) {
+                        createDirectory(parentPath, name, callback);
+                    }
+                });
+                return;
+            }
+
+            var problem = checkName(parentPath, name);
+            if (problem != null) {
+                view.showError(parentPath, problem);
+                return;
+            }
+            var path = parentPath === '' ? name : parentPath + '/' + name;
+            var node = {
+                fileData: {path: path, name: name, type: 'directory', expandable: true},
+                children: []
+            };
+            changeChildren(parentPath, function(files) {
+                return files.concat([node]);
+            }, [path]);
+
+            settings.dataProvider.createDirectory(parentPath, name, function(fileData) {
+                if (container == null) {
+                    return;
+                }
+                invalidateCache(parentPath);
+                changeChildren(parentPath, function(files) {
+                    return files.map(function(file) {
+                        return file === node ? createFileNode(fileData) : file;
+                    });
+                }, [path, fileData.path]);
+                trigger('create', [fileData, fileData.path]);
+                if (callback) callback(fileData);
+            }, function(error) {
+                if (container == null) {
+                    return;
+                }
+                forgetRemoved([path], parentPath);
+                changeChildren(parentPath, function(files) {
+                    return files.filter(function(file) {
+                        return file !== node;
+                    });
+                }, [path]);
+                showOperationError(parentPath, error);
+            });
+        }
+
+        /**
+         * Renames file, name is asked with inline editor if it isn't
+         * specified
+         */
+        function rename(path, name, callback) {
+            var oldNode = findNode(path);
+            if (!canModify(oldNode, 'rename')) {
+                return;
+            }
+            var parentPath = getParentPath(path);
+            if (name == null) {
+                editName(path, function(name) {
+                    if (name != null && name !== oldNode.fileData.name) {
+                        rename(path, name, callback);
+                    } else {
+                        changeChildren(parentPath, function(files) {
+                            return files;
+                        }, [path]);
+                    }
+                });
+                return;
+            }
+
+            var problem = checkName(parentPath, name, path);
+            if (problem != null) {
+                changeChildren(parentPath, function(files) {
+                    return files;
+                }, [path]);
+                view.showError(path, problem);
+                return;
+            }
+            var newPath = parentPath === '' ? name : parentPath + '/' + name;
+            function replaceNode(from, to) {
+                followMove(from.fileData.path, to);
+                changeChildren(parentPath, function(files) {
+                    return files.map(function(file) {
+                        return file === from ? to : file;
+                    });
+                }, [from.fileData.path, to.fileData.path]);
+            }
+            var newNode = rebaseNode(oldNode, newPath);
+            replaceNode(oldNode, newNode);
+
+            settings.dataProvider.rename(path, name, function(fileData) {
+                if (container == null) {
+                    return;
+                }
+                invalidateCache(parentPath);
+                invalidateCache(path);
+                replaceNode(newNode, withFileData(newNode, fileData));
+                trigger('rename', [fileData, fileData.path, path]);
+                if (callback) callback(fileData);
+            }, function(error) {
+                if (container == null) {
+                    return;
+                }
+                replaceNode(newNode, oldNode);
+                showOperationError(path, error);
+            });
+        }
+
+        /**
+         * Removes file (directory is removed with all its contents)
+         */
+        function remove(path, callback) {
+            var node = findNode(path);
+            if (!canModify(node, 'remove')) {
+                return;
+            }
+            var parentPath = getParentPath(path);
+            var index = -1;
+            forgetRemoved([path], parentPath);
+            changeChildren(parentPath, function(files) {
+                index = files.indexOf(node);
+                return files.filter(function(file) {
+                    return file !== node;
+                });
+            }, [path]);
+
+            settings.dataProvider.remove(path, function() {
+                if (container == null) {
+                    return;
+                }
+                invalidateCache(parentPath);
+                invalidateCache(path);
+                trigger('remove', [node.fileData, path]);
+                if (callback) callback(node.fileData);
+            }, function(error) {
+                if (container == null) {
+                    return;
+                }
+                changeChildren(parentPath, function(files) {
+                    files.splice(Math.min(index, files.length), 0, node);
+                    return files;
+                }, [path]);
+                showOperationError(path, error);
+            });
+        }
+
+        /**
+         * Checks whether file can be moved (or copied) into directory
+         */
+        function canDrop(path, targetPath, copy) {
+            var node = findNode(path);
+            var target = findNode(targetPath);
+            return node != null && target != null
+                && path !== ''
+                && target.fileData.type === 'directory'
+                && !target.fileData.readOnly
+                && (copy || !node.fileData.readOnly)
+                && typeof settings.dataProvider[copy ? 'copy' : 'move'] === 'function'
+                && targetPath !== path
+                && targetPath !== getParentPath(path)
+                && !isAncestor(path, targetPath);
+        }
+
+        /**
+         * Moves (or copies) file into directory. If directory is
+         * expanded, file is shown there with its loaded children
+         */
+        function transfer(path, targetPath, copy, callback) {
+            if (!canDrop(path, targetPath, copy)) {
+                return;
+            }
+            var node = findNode(path);
+            var problem = checkName(targetPath, node.fileData.name);
+            if (problem != null) {
+                view.showError(targetPath, problem);
+                return;
+            }
+            var parentPath = getParentPath(path);
+            var newPath = targetPath === '' ? node.fileData.name : targetPath + '/' + node.fileData.name;
+            var newNode = rebaseNode(node, newPath);
+            var index = -1;
+            function insert(target) {
+                changeChildren(targetPath, function(files) {
+                    return files.concat([target]);
+                }, [target.fileData.path]);
+            }
+            function exclude(target, fromPath) {
+                changeChildren(fromPath, function(files) {
+                    index = Math.max(index, files.indexOf(target));
+                    return files.filter(function(file) {
+                        return file !== target;
+                    });
+                }, [target.fileData.path]);
+            }
+            if (!copy) {
+                if (findNode(targetPath) != null && isExpanded(findNode(targetPath))) {
+                    followMove(path, newNode);
+                } else {
+                    forgetRemoved([path], parentPath);
+                }
+                exclude(node, parentPath);
+            }
+            insert(newNode);
+
+            var method = copy ? 'copy' : 'move';
+            settings.dataProvider[method](path, newPath, function(fileData) {
+                if (container == null) {
+                    return;
+                }
+                invalidateCache(targetPath);
+                if (!copy) {
+                    invalidateCache(parentPath);
+                    invalidateCache(path);
+                }
+                // Copy is collapsed, its children are loaded when needed
+                var result = copy ? createFileNode(fileData) : withFileData(newNode, fileData);
+                followMove(newPath, result);
+                changeChildren(targetPath, function(files) {
+                    return files.map(function(file) {
+                        return file === newNode ? result : file;
+                    });
+                }, [newPath, fileData.path]);
+                trigger(method, [fileData, fileData.path, path]);
+                if (callback) callback(fileData);
+            }, function(error) {
+                if (container == null) {
+                    return;
+                }
+                forgetRemoved([newPath], targetPath);
+                exclude(newNode, targetPath);
+                if (!copy) {
+                    changeChildren(parentPath, function(files) {
+                        files.splice(Math.min(index, files.length), 0, node);
+                        return files;
+                    }, [path]);
+                }
+                showOperationError(copy ? path : parentPath, error);
+            });
+        }
+
+        var drag = null; // Path of item dragged within the tree
+        var dropTarget = null; // Path of hovered directory and auto-expand timer
+
+        function clearDropTarget() {
+            if (dropTarget != null) {
+                clearTimeout(dropTarget.expandTimeout);
+                dropTarget = null;
+            }
+            container.find('span.dropTarget').removeClass('dropTarget');
+        }
+
+        /**
+         * Highlights directory under dragged item, it's expanded
+         * if item is held over it for a while
+         */
+        function showDropTarget(path) {
+            if (dropTarget != null && dropTarget.path === path) {
+                return;
+            }
+            clearDropTarget();
+            dropTarget = {path: path, expandTimeout: null};
+            findItem(path).addClass('dropTarget');
+            if (!isExpanded(findNode(path))) {
+                dropTarget.expandTimeout = setTimeout(function() {
+                    if (dropTarget != null && dropTarget.path === path) {
+                        expand(path);
+                    }
+                }, settings.dragExpandDelay);
+            }
+        }
+
+        /**
+         * Returns element which scrolls the tree
+         */
+        function scrollParent() {
+            var element = container[0];
+            while (element != null && element !== document.body) {
+                var overflow = $(element).css('overflow-y');
+                if ((overflow === 'auto' || overflow === 'scroll')
+                        && element.scrollHeight > element.clientHeight) {
+                    return element;
+                }
+                element = element.parentElement;
+            }
+            return document.scrollingElement || document.documentElement;
+        }
+
+        /**
+         * Scrolls the tree while dragged item is near its edges
+         */
+        function autoScroll(clientY) {
+            var element = scrollParent();
+            var top = 0;
+            var bottom = window.innerHeight;
+            if (element !== document.scrollingElement && element !== document.documentElement) {
+                var rect = element.getBoundingClientRect();
+                top = Math.max(top, rect.top);
+                bottom = Math.min(bottom, rect.bottom);
+            }
+            var edge = 30;
+            if (clientY < top + edge) {
+                element.scrollTop -= 10;
+            } else if (clientY > bottom - edge) {
+                element.scrollTop += 10;
+            }
+        }
+
+        /**
+         * Checks whether files are dragged from outside of the page
+         */
+        function isFileDrag(event) {
+            var types = event.originalEvent.dataTransfer.types;
+            return drag == null
+                && types != null
+                && Array.prototype.indexOf.call(types, 'Files') >= 0;
+        }
+
+        function dragStartHandler(event) {
+            var path = $(this).attr('path');
+            var dataTransfer = event.originalEvent.dataTransfer;
+            drag = path;
+            dataTransfer.effectAllowed = 'copyMove';
+            dataTransfer.setData('text/plain', path);
+        }
+
+        function dragOverHandler(event) {
+            var path = $(this).attr('path');
+            var copy = event.ctrlKey || event.metaKey;
+            var allowed;
+            if (drag != null) {
+                allowed = canDrop(drag, path, copy);
+            } else if (isFileDrag(event)) {
+                allowed = canUploadTo(findNode(path));
+                copy = true;
+            } else {
+                return;
+            }
+            if (!allowed) {
+                clearDropTarget();
+                return;
+            }
+            event.preventDefault();
+            event.originalEvent.dataTransfer.dropEffect = copy ? 'copy' : 'move';
+            showDropTarget(path);
+        }
+
+        function dropHandler(event) {
+            var targetPath = $(this).attr('path');
+            if (drag != null) {
+                var path = drag;
+                drag = null;
+                transfer(path, targetPath, event.ctrlKey || event.metaKey);
+            } else if (isFileDrag(event)) {
+                uploadFiles(
+                    targetPath,
+                    Array.prototype.slice.call(event.originalEvent.dataTransfer.files)
+                );
+            } else {
+                return;
+            }
+            event.preventDefault();
+            clearDropTarget();
+        }
+
+        /*
+         * Uploads (see `ServiceDataProvider.upload`). Every uploaded
+         * file is shown as pseudo-node with progress bar within target
+         * directory. These nodes aren't stored by state holder.
+         */
+
+        var uploads = {}; // Uploads by path of target directory
+        var uploadCounter = 0;
+
+        /**
+         * Returns uploads into directory with specified path
+         */
+        function uploadsOf(path) {
+            return uploads.hasOwnProperty(path) ? uploads[path] : [];
+        }
+
+        /**
+         * Returns children of the node with its uploads
+         */
+        function childrenWithUploads(node) {
+            var pending = isPseudoNode(node) ? [] : uploadsOf(node.fileData.path);
+            if (pending.length == 0) {
+                return node.children;
+            }
+            return pending.concat(node.children.filter(function(child) {
+                return !child.empty;
+            }));
+        }
+
+        function canUploadTo(node) {
+            return node != null
+                && node.fileData.type === 'directory'
+                && !node.fileData.readOnly
+                && typeof settings.dataProvider.upload === 'function';
+        }
+
+        /**
+         * Re-renders uploads of directory
+         */
+        function uploadsChanged(path) {
+            rowsCache = null;
+            var node = findNode(path);
+            if (node != null && isExpanded(node)) {
+                view.showChildrenUpdated(path, node, {});
+            }
+        }
+
+        function removeUpload(upload) {
+            var pending = uploadsOf(upload.parentPath).filter(function(e) {
+                return e !== upload;
+            });
+            if (pending.length > 0) {
+                uploads[upload.parentPath] = pending;
+            } else {
+                delete uploads[upload.parentPath];
+            }
+            uploadsChanged(upload.parentPath);
+        }
+
+        /**
+         * Returns name like `name (1).ext` which isn't used within
+         * directory yet
+         */
+        function uniqueName(parentPath, name) {
+            var used = {};
+            findNode(parentPath).children.forEach(function(child) {
+                if (!isPseudoNode(child)) {
+                    used[child.fileData.name] = true;
+                }
+            });
+            uploadsOf(parentPath).forEach(function(upload) {
+                used[upload.name] = true;
+            });
+            var dot = name.lastIndexOf('.');
+            var base = dot > 0 ? name.substring(0, dot) : name;
+            var extension = dot > 0 ? name.substring(dot) : '';
+            var result = name;
+            for (var i = 1; used.hasOwnProperty(result); i++) {
+                result = base + ' (' + i + ')' + extension;
+            }
+            return result;
+        }
+
+        /**
+         * Uploads files dropped from desktop into directory
+         */
+        function uploadFiles(targetPath, files) {
+            if (!canUploadTo(findNode(targetPath)) || files.length == 0) {
+                return;
+            }
+            expand(targetPath, function() {
+                var pending = uploadsOf(targetPath);
+                files.forEach(function(file) {
+                    var upload = {
+                        upload: true,
+                        id: ++uploadCounter,
+                        parentPath: targetPath,
+                        file: file,
+                        name: file.name,
+                        overwrite: false,
+                        state: 'uploading',
+                        loaded: 0,
+                        total: file.size,
+                        request: null,
+                        error: null
+                    };
+                    pending.push(upload);
+                    checkUpload(upload);
+                });
+                uploads[targetPath] = pending;
+                uploadsChanged(targetPath);
+                pending.forEach(function(upload) {
+                    if (upload.state === 'uploading' && upload.request == null) {
+                        startUpload(upload);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Makes upload wait for user's decision if file
+         * with the same name exists already
+         */
+        function checkUpload(upload) {
+            if (upload.overwrite) {
+                return;
+            }
+            var exists = findNode(upload.parentPath).children.some(function(child) {
+                return !isPseudoNode(child) && child.fileData.name === upload.name;
+            });
+            if (exists) {
+                upload.state = 'conflict';
+            }
+        }
+
+        function startUpload(upload) {
+            var file = upload.file;
+            if (upload.name !== file.name) {
+                file = new File([file], upload.name, {type: file.type});
+            }
+            upload.state = 'uploading';
+            upload.loaded = 0;
+            upload.error = null;
+            upload.request = settings.dataProvider.upload(upload.parentPath, [file], function(loaded, total) {
+                if (container == null) {
+                    return; // Tree was destroyed while uploading
+                }
+                upload.loaded = loaded;
+                upload.total = total;
+                container.find('span[data-upload="' + upload.id + '"] .uploadProgress > span')
+                    .css('width', Math.round(100 * loaded / Math.max(total, 1)) + '%');
+            }, function(fileDataList) {
+                if (container == null) {
+                    return;
+                }
+                removeUpload(upload);
+                invalidateCache(upload.parentPath);
+                var uploaded = fileDataList.map(createFileNode);
+                var paths = uploaded.map(function(node) {
+                    return node.fileData.path;
+                });
+                changeChildren(upload.parentPath, function(files) {
+                    return files.filter(function(file) {
+                        return paths.indexOf(file.fileData.path) < 0;
+                    }).concat(uploaded);
+                }, paths);
+                fileDataList.forEach(function(fileData) {
+                    trigger('upload', [fileData, fileData.path]);
+                });
+            }, function(error) {
+                if (container == null) {
+                    return;
+                }
+                upload.state = 'failed';
+                upload.request = null;
+                upload.error = errorMessage(error);
+                uploadsChanged(upload.parentPath);
+                var parent = findNode(upload.parentPath);
+                trigger('operationerror', [parent != null ? parent.fileData : null, upload.parentPath, error]);
+            }, upload.overwrite);
+            uploadsChanged(upload.parentPath);
+        }
+
+        /**
+         * Handles buttons of uploaded file item
+         */
+        function uploadActionHandler(event) {
+            event.stopPropagation();
+            var button = $(this);
+            var content = button.closest('span[data-upload]');
+            var id = parseInt(content.attr('data-upload'));
+            var upload = uploadsOf(content.attr('parent')).filter(function(e) {
+                return e.id === id;
+            })[0];
+            if (upload == null) {
+                return;
+            }
+            switch (button.attr('data-action')) {
+                case 'cancel':
+                    if (upload.request != null && typeof upload.request.abort === 'function') {
+                        upload.request.abort();
+                    }
+                    removeUpload(upload);
+                    break;
+                case 'retry':
+                    startUpload(upload);
+                    break;
+                case 'rename':
+                    upload.name = uniqueName(upload.parentPath, upload.name);
+                    startUpload(upload);
+                    break;
+                case 'overwrite':
+                    upload.overwrite = true;
+                    startUpload(upload);
+                    break;
+            }
+        }
+
+        /**
+         * Renders upload pseudo-node: progress bar while file is
+         * uploaded and buttons to resolve problems
+         */
+        function renderUploadItem(content, upload, parentPath) {
+            function button(action, label) {
+                return $('<button>')
+                    .attr({type: 'button', 'data-action': action})
+                    .addClass('uploadAction')
+                    .text(label);
+            }
+            content
+                .addClass('upload')
+                .attr({parent: parentPath, 'data-upload': upload.id})
+                .append(
+                    renderIcon({name: upload.name, type: upload.file.type}),
+                    ' ',
+                    $('<span>').text(upload.name),
+                    ' '
+                );
+            switch (upload.state) {
+                case 'uploading':
+                    var percent = Math.round(100 * upload.loaded / Math.max(upload.total, 1));
+                    content.append(
+                        $('<span>')
+                            .addClass('uploadProgress')
+                            .attr('role', 'progressbar')
+                            .append($('<span>').css('width', percent + '%')),
+                        ' ',
+                        button('cancel', 'Cancel')
+                    );
+                    break;
+                case 'failed':
+                    content.append(
+                        $('<span>').addClass('treeError').text(upload.error),
+                        ' ',
+                        button('retry', 'Retry'),
+                        ' ',
+                        button('cancel', 'Cancel')
+                    );
+                    break;
+                case 'conflict':
+                    content.append(
+                        'already exists ',
+                        button('rename', 'Keep both'),
+                        ' ',
+                        button('overwrite', 'Replace'),
+                        ' ',
+                        button('cancel', 'Skip')
+                    );
+                    break;
+            }
+        }
+
+        /**
+         * Asks user to confirm removal of the files
+         */
+        function confirmRemove(paths) {
+            var nodes = paths.map(findNode).filter(function(node) {
+                return canModify(node, 'remove');
+            });
+            if (nodes.length == 0) {
+                return;
+            }
+            var message = nodes.length == 1
+                ? 'Delete "' + nodes[0].fileData.name + '"'
+                    + (nodes[0].fileData.expandable ? ' with all its contents?' : '?')
+                : 'Delete ' + nodes.length + ' items?';
+            if (window.confirm(message)) {
+                nodes.forEach(function(node) {
+                    remove(node.fileData.path);
+                });
+            }
+        }
+
+        /**
+         * Copies text to clipboard
+         */
+        function copyText(text) {
+            if (navigator.clipboard != null) {
+                navigator.clipboard.writeText(text);
+                return;
+            }
+            var input = $('<textarea>').val(text).appendTo(document.body);
+            input[0].select();
+            document.execCommand('copy');
+            input.remove();
+        }
+
+        /**
+         * Expands directory with all its subdirectories
+         */
+        function expandAll(path, callback) {
+            var node = findNode(path);
+            if (node == null || !node.fileData.expandable) {
+                if (callback) callback();
+                return;
+            }
+            expand(path, function() {
+                var pending = 1;
+                function done() {
+                    if (--pending == 0 && callback) callback();
+                }
+                findNode(path).children.forEach(function(child) {
+                    if (!isPseudoNode(child) && child.fileData.expandable) {
+                        pending++;
+                        expandAll(child.fileData.path, done);
+                    }
+                });
+                done();
+            }, callback);
+        }
+
+        /**
+         * Actions which can be referred in `contextMenu` option by
+         * name. Their handlers get array of `FileData` of selected nodes
+         */
+        var contextMenuActions = {
+            open: {
+                label: 'Open',
+                shortcut: 'Enter',
+                visible: function(fileData) {
+                    return !fileData.expandable;
+                },
+                handler: function(fileDataList) {
+                    fileDataList.forEach(function(fileData) {
+                        activate(fileData.path);
+                    });
+                }
+            },
+            copyPath: {
+                label: 'Copy path',
+                handler: function(fileDataList) {
+                    copyText(fileDataList.map(function(fileData) {
+                        return fileData.path;
+                    }).join('\n'));
+                }
+            },
+            expandAll: {
+                label: 'Expand all below',
+                shortcut: '*',
+                visible: function(fileData) {
+                    return fileData.expandable;
+                },
+                handler: function(fileDataList) {
+                    fileDataList.forEach(function(fileData) {
+                        expandAll(fileData.path);
+                    });
+                }
+            },
+            refresh: {
+                label: 'Refresh',
+                shortcut: 'F5',
+                handler: function(fileDataList) {
+                    // Directory containing file is refreshed
+                    var fileData = fileDataList[0];
+                    var node = findNode(fileData.path);
+                    refreshTree(fileData.expandable && isExpanded(node)
+                        ? fileData.path
+                        : getParentPath(fileData.path));
+                }
+            },
+            newFolder: {
+                label: 'New folder',
+                visible: function() {
+                    return typeof settings.dataProvider.createDirectory === 'function';
+                },
+                enabled: function(fileData) {
+                    return canCreateIn(findNode(fileData.path));
+                },
+                handler: function(fileDataList) {
+                    var path = fileDataList[0].path;
+                    expand(path, function() {
+                        createDirectory(path);
+                    });
+                }
+            },
+            rename: {
+                label: 'Rename',
+                shortcut: 'F2',
+                visible: function() {
+                    return typeof settings.dataProvider.rename === 'function';
+                },
+                enabled: function(fileData) {
+                    return canModify(findNode(fileData.path), 'rename');
+                },
+                handler: function(fileDataList) {
+                    rename(fileDataList[0].path);
+                }
+            },
+            remove: {
+                label: 'Delete',
+                shortcut: 'Del',
+                visible: function() {
+                    return typeof settings.dataProvider.remove === 'function';
+                },
+                enabled: function(fileData) {
+                    return canModify(findNode(fileData.path), 'remove');
+                },
+                handler: function(fileDataList) {
+                    confirmRemove(fileDataList.map(function(fileData) {
+                        return fileData.path;
+                    }));
+                }
+            }
+        };
+
+        /**
+         * Creates action sorting directory by `by` key, the directory
+         * containing file is sorted if menu is shown for file.
+         * Choosing current sort again reverses order
+         */
+        function sortAction(label, by) {
+            function directoryPath(fileData) {
+                return fileData.expandable ? fileData.path : getParentPath(fileData.path);
+            }
+            return {
+                label: label,
+                shortcut: function(fileData) {
+                    var sort = sortOf(directoryPath(fileData));
+                    if (sort.by !== by || typeof sort.comparator === 'function') {
+                        return '';
+                    }
+                    return sort.order === 'desc' ? '\u25BC' : '\u25B2';
+                },
+                handler: function(fileDataList, fileData) {
+                    var path = directoryPath(fileData);
+                    var sort = sortOf(path);
+                    changeSort(path, by, sort.by === by && sort.order !== 'desc' ? 'desc' : 'asc');
+                }
+            };
+        }
+        contextMenuActions.sortByName = sortAction('Sort by name', 'name');
+        contextMenuActions.sortBySize = sortAction('Sort by size', 'size');
+        contextMenuActions.sortByModified = sortAction('Sort by date modified', 'modified');
+        contextMenuActions.sortByType = sortAction('Sort by type', 'type');
+
+        var contextMenu = null;
+
+        function hideContextMenu() {
+            if (contextMenu != null) {
+                contextMenu.remove();
+                contextMenu = null;
+                $(document).off('mousedown touchstart', hideContextMenuOutside);
+                $(window).off('blur resize', hideContextMenu);
+            }
+        }
+
+        function hideContextMenuOutside(event) {
+            if (contextMenu != null && !$.contains(contextMenu[0], event.target)) {
+                hideContextMenu();
+            }
+        }
+
+        /**
+         * Returns `FileData` of nodes which context menu is shown for:
+         * selected nodes if node is selected, node itself (which gets
+         * selected) otherwise
+         */
+        function contextMenuTargets(path) {
+            if (selection.hasOwnProperty(path)) {
+                return getSelection();
+            }
+            select(path, 'replace');
+            return [findNode(path).fileData];
+        }
+
+        /**
+         * Shows menu with actions from `contextMenu` option available
+         * for node, it's placed at specified position within viewport.
+         * Returns `false` if there are no actions
+         */
+        function showContextMenu(path, x, y) {
+            hideContextMenu();
+            var node = findNode(path);
+            if (node == null || !settings.contextMenu) {
+                return false;
+            }
+            var fileData = node.fileData;
+            var items = [];
+            settings.contextMenu.forEach(function(action) {
+                if (action === '-') {
+                    // Separators are shown only between actions
+                    if (items.length > 0 && items[items.length - 1] !== '-') {
+                        items.push(action);
+                    }
+                    return;
+                }
+                if (typeof action === 'string') {
+                    action = contextMenuActions[action];
+                }
+                if (action != null && (action.visible == null || action.visible(fileData))) {
+                    items.push(action);
+                }
+            });
+            if (items[items.length - 1] === '-') {
+                items.pop();
+            }
+            if (items.length == 0) {
+                return false;
+            }
+
+            var targets = contextMenuTargets(path);
+            showMenu(fileData.name || 'Actions', items.map(function(action) {
+                if (action === '-') {
+                    return action;
+                }
+                return {
+                    label: action.label,
+                    icon: action.icon,
+                    shortcut: typeof action.shortcut === 'function'
+                        ? action.shortcut(fileData)
+                        : action.shortcut,
+                    enabled: action.enabled == null || action.enabled(fileData),
+                    handler: function() {
+                        focusPath(path);
+                        action.handler.call(holder, targets, fileData);
+                    }
+                };
+            }), x, y);
+            return true;
+        }
+
+        /**
+         * Shows menu at specified position within viewport. Items
+         * are `'-'` separators or objects with `label`, `handler`
+         * and optional `icon`, `shortcut`, `enabled` and `checked`
+         * (for items which can be toggled) properties
+         */
+        function showMenu(label, items, x, y) {
+            hideContextMenu();
+            contextMenu = $('<ul>')
+                .addClass('treeContextMenu')
+                .attr({role: 'menu', 'aria-label': label})
+                .css({left: 0, top: 0})
+                .on('keydown', contextMenuKeyDownHandler)
+                .appendTo(document.body);
+            items.forEach(function(item) {
+                if (item === '-') {
+                    $('<li>').attr('role', 'separator').appendTo(contextMenu);
+                    return;
+                }
+                var enabled = item.enabled !== false;
+                var element = $('<li>')
+                    .attr({
+                        role: item.checked != null ? 'menuitemcheckbox' : 'menuitem',
+                        tabindex: '-1',
+                        'aria-disabled': enabled ? 'false' : 'true'
+                    })
+                    .append(
+                        $('<i>').addClass(item.icon || ''),
+                        $('<span>').text(item.label),
+                        item.shortcut ? $('<span>').addClass('meta shortcut').text(item.shortcut) : null
+                    )
+                    .on('click', function() {
+                        if (enabled) {
+                            hideContextMenu();
+                            item.handler();
+                        }
+                    })
+                    .on('mouseenter', function() {
+                        $(this).focus();
+                    })
+                    .appendTo(contextMenu);
+                if (item.checked != null) {
+                    element.attr('aria-checked', item.checked ? 'true' : 'false');
+                }
+            });
+
+            // Keep menu within viewport
+            var width = contextMenu.outerWidth();
+            var height = contextMenu.outerHeight();
+            if (x + width > window.innerWidth) {
+                x = Math.max(0, window.innerWidth - width);
+            }
+            if (y + height > window.innerHeight) {
+                y = Math.max(0, y - height);
+            }
+            contextMenu.css({left: x + 'px', top: y + 'px'});
+
+            $(document).on('mousedown touchstart', hideContextMenuOutside);
+            $(window).on('blur resize', hideContextMenu);
+        }
+
+        /**
+         * Opens context menu of focused node with keyboard and
+         * focuses its first enabled item
+         */
+        function openContextMenu(path) {
+            var rect = findItem(path)[0].getBoundingClientRect();
+            if (showContextMenu(path, rect.left, rect.bottom)) {
+                moveContextMenuFocus(1);
+            }
+        }
+
+        /**
+         * Moves focus to the next (or previous if `step` is `-1`)
+         * enabled menu item
+         */
+        function moveContextMenuFocus(step, fromEdge) {
+            var enabled = contextMenu.children('li[aria-disabled="false"]');
+            if (enabled.length == 0) {
+                contextMenu.children('[role="menuitem"]').first().focus();
+                return;
+            }
+            var index = fromEdge ? -1 : enabled.index(document.activeElement);
+            if (index < 0) {
+                index = step > 0 ? 0 : enabled.length - 1;
+            } else {
+                index = (index + step + enabled.length) % enabled.length;
+            }
+            enabled.eq(index).focus();
+        }
+
+        /**
+         * Keyboard navigation as described by WAI-ARIA
+         * authoring practices for menu
+         */
+        function contextMenuKeyDownHandler(event) {
+            event.stopPropagation();
+            switch (event.key) {
+                case 'ArrowDown':
+                    moveContextMenuFocus(1);
+                    break;
+                case 'ArrowUp':
+                    moveContextMenuFocus(-1);
+                    break;
+                case 'Home':
+                    moveContextMenuFocus(1, true);
+                    break;
+                case 'End':
+                    moveContextMenuFocus(-1, true);
+                    break;
+                case 'Enter':
+                case ' ':
+                    $(document.activeElement).filter('li').click();
+                    break;
+                case 'Escape':
+                case 'Tab':
+                    hideContextMenu();
+                    findItem(focusedPath).focus();
+                    break;
+                default:
+                    return;
+            }
+            event.preventDefault();
+        }
+
+        var longPress = null; // Timer and position of touch
+
+        /**
+         * Shows context menu if node is touched for a while
+         */
+        function touchStartHandler(event) {
+            var path = $(this).attr('path');
+            var touches = event.originalEvent.touches;
+            if (touches == null || touches.length != 1) {
+                return;
+            }
+            var x = touches[0].clientX;
+            var y = touches[0].clientY;
+            cancelLongPress();
+            longPress = {
+                x: x,
+                y: y,
+                timeout: setTimeout(function() {
+                    longPress = null;
+                    if (showContextMenu(path, x, y)) {
+                        focusPath(path);
+                    }
+                }, 500)
+            };
+        }
+
+        function touchMoveHandler(event) {
+            var touches = event.originalEvent.touches;
+            if (longPress != null && touches != null && touches.length > 0
+                    && Math.abs(touches[0].clientX - longPress.x)
+                        + Math.abs(touches[0].clientY - longPress.y) > 10) {
+                cancelLongPress();
+            }
+        }
+
+        function cancelLongPress() {
+            if (longPress != null) {
+                clearTimeout(longPress.timeout);
+                longPress = null;
+            }
+        }
+
+        function itemClickHandler(event) {
+            var path = $(this).attr('path');
+            focusPath(path);
+            if (event.shiftKey) {
+                select(path, 'range');
+            } else if (event.ctrlKey || event.metaKey) {
+                select(path, 'toggle');
+            } else {
+                select(path, 'replace');
+            }
+        }
+
+        function expandableNodeClickHandler(event) {
+            if (event != null && (event.shiftKey || event.ctrlKey || event.metaKey)) {
+                return; // Selection click, see `itemClickHandler`
+            }
+            var path = $(this).attr('path');
+            var node = findNode(path);
+            if (node != null && isExpanded(node)) {
+                collapse(path);
+            } else {
+                expand(path);
+            }
+        }
+
+        /**
+         * Keyboard navigation as described by WAI-ARIA
+         * authoring practices for tree view widget
+         */
+        function keyDownHandler(event) {
+            var target = $(event.target).closest('span[path]');
+            var path = target.length > 0 ? target.attr('path') : focusedPath;
+            var rows = visibleNodes();
+            var index = indexOfPath(path);
+            if (index < 0) {
+                return;
+            }
+            var row = rows[index];
+            function focusRow(target) {
+                if (target != null) {
+                    focusPath(target.node.fileData.path);
+                }
+            }
+
+            var multiple = settings.selectionMode === 'multiple';
+            function extendSelection(target) {
+                if (target != null && event.shiftKey && multiple) {
+                    select(target.node.fileData.path, 'range');
+                }
+            }
+
+            switch (event.key) {
+                case 'ArrowDown':
+                    var siblings = row.parentPath != null ? findNode(row.parentPath).children : [];
+                    if (siblings.length > 1
+                            && siblings[siblings.length - 1].more
+                            && siblings[siblings.length - 2] === row.node) {
+                        // Next item is "load more" one
+                        loadMore(row.parentPath, focusPath);
+                        break;
+                    }
+                    focusRow(rows[index + 1]);
+                    extendSelection(rows[index + 1]);
+                    break;
+                case 'ArrowUp':
+                    focusRow(rows[index - 1]);
+                    extendSelection(rows[index - 1]);
+                    break;
+                case 'ArrowRight':
+                    if (isExpanded(row.node)) {
+                        var next = rows[index + 1];
+                        if (next != null && next.parentPath === path) {
+                            focusRow(next);
+                        }
+                    } else if (row.node.fileData.expandable) {
+                        expand(path);
+                    }
+                    break;
+                case 'ArrowLeft':
+                    if (isExpanded(row.node)) {
+                        collapse(path);
+                    } else if (row.parentPath != null) {
+                        focusPath(row.parentPath);
+                    }
+                    break;
+                case 'Home':
+                    focusRow(rows[0]);
+                    break;
+                case 'End':
+                    focusRow(rows[rows.length - 1]);
+                    break;
+                case '*':
+                    rows.forEach(function(sibling) {
+                        if (sibling.parentPath === row.parentPath
+                                && sibling.node.fileData.expandable
+                                && !isExpanded(sibling.node)) {
+                            expand(sibling.node.fileData.path);
+                        }
+                    });
+                    break;
+                case 'Enter':
+                    if (!row.node.fileData.expandable) {
+                        activate(path);
+                    } else if (isExpanded(row.node)) {
+                        collapse(path);
+                    } else {
+                        expand(path);
+                    }
+                    break;
+                case ' ':
+                    if (settings.checkboxes) {
+                        setChecked(path, checkState(path) !== 'true');
+                    } else {
+                        select(path, multiple ? 'toggle' : 'replace');
+                    }
+                    break;
+                case 'F2':
+                    if (!canModify(row.node, 'rename')) {
+                        return;
+                    }
+                    rename(path);
+                    break;
+                case 'Delete':
+                    if (!canModify(row.node, 'remove')) {
+                        return;
+                    }
+                    confirmRemove([path]);
+                    break;
+                case 'F10':
+                    if (!event.shiftKey) {
+                        return;
+                    }
+                    openContextMenu(path);
+                    break;
+                case 'ContextMenu':
+                    openContextMenu(path);
+                    break;
+                case 'F5':
+                    // Refresh directory containing focused file
+                    if (!isExpanded(row.node) && row.parentPath != null) {
+                        path = row.parentPath;
+                    }
+                    refreshTree(path);
+                    break;
+                case 'a':
+                case 'A':
+                    if (!(event.ctrlKey || event.metaKey) || !multiple) {
+                        return;
+                    }
+                    changeSelection(rows.map(function(e) {
+                        return e.node.fileData;
+                    }));
+                    break;
+                default:
+                    return;
+            }
+            event.preventDefault();
+        }
+
+        var canMove = typeof settings.dataProvider.move === 'function';
+        var canCopy = typeof settings.dataProvider.copy === 'function';
+
+        function renderItem(element, node, level, position, size) {
+            var matches = null;
+            if (filter != null && node.fileData.path !== '') {
+                matches = filter.matcher(node.fileData.name);
+            }
+            var icon = renderIcon(node.fileData).attr('title', node.fileData.type);
+            var itemContent = $('<span>')
+                .attr({
+                    path: node.fileData.path,
+                    role: settings.renderMode === 'details' ? 'row' : 'treeitem',
+                    tabindex: node.fileData.path === focusedPath ? '0' : '-1',
+                    'aria-level': level,
+                    'aria-setsize': size,
+                    'aria-posinset': position
+                })
+                .append(
+                    icon,
+                    ' ',
+                    extractFileName(node.fileData.name, matches)
+                );
+            if (matches != null) {
+                itemContent.addClass('match');
+            }
+            if (node.fileData.readOnly) {
+                itemContent.addClass('readOnly');
+            }
+            if (node.fileData.path !== '' && (!node.fileData.readOnly && canMove || canCopy)) {
+                itemContent.attr('draggable', 'true');
+            }
+            if (settings.selectionMode !== 'none') {
+                var selected = selection.hasOwnProperty(node.fileData.path);
+                itemContent
+                    .toggleClass('selected', selected)
+                    .attr('aria-selected', selected ? 'true' : 'false');
+            }
+            if (node.fileData.expandable) {
+                itemContent
+                    .attr('aria-expanded', isExpanded(node) ? 'true' : 'false')
+                    .addClass('expandable');
+            }
+            if (settings.checkboxes) {
+                itemContent.prepend(
+                    $('<input>')
+                        .attr({type: 'checkbox', tabindex: '-1', 'aria-hidden': 'true'})
+                        .addClass('treeCheckbox'),
+                    ' '
+                );
+                renderCheckState(itemContent);
+            }
+            if (settings.renderMode === 'details') {
+                renderCells(itemContent, node.fileData);
+            }
+            var item = $('<li>').attr('role', 'none').append(itemContent).appendTo(element);
+            if (loadingPaths.hasOwnProperty(node.fileData.path)) {
+                item.append(getLoader());
+            }
+            return item;
+        }
+
+        /**
+         * Renders pseudo-node which is child of node with path
+         * `parentPath` (see `isPseudoNode`)
+         */
+        function renderPseudoItem(element, node, parentPath) {
+            var content = $('<span>').addClass('meta');
+            if (node.more) {
+                content
+                    .addClass('loadMore')
+                    .attr({parent: parentPath, role: 'button'})
+                    .append('Load ' + node.count + ' more&hellip;');
+                if (node.total != null) {
+                    content.attr('title', node.total + ' in total');
+                }
+                if (loadingPaths.hasOwnProperty(parentPath)) {
+                    content.empty().append(getLoader());
+                }
+            } else if (node.upload) {
+                renderUploadItem(content, node, parentPath);
+            } else {
+                content.append('&lt;empty&gt;');
+            }
+            return $('<li>')
+                .attr('role', 'none')
+                .append(content)
+                .appendTo(element);
+        }
+
+        /**
+         * Renders children of the node into `ul.nested` list
+         * appended to node's item
+         */
+        function renderChildren(item, tree, level, deepRender) {
+            var children = childrenWithUploads(tree);
+            if (children.length == 0) {
+                return;
+            }
+            var nested = $('<ul>').addClass('nested').attr('role', 'group');
+            item.append(nested);
+            item.children('span[path]').attr('aria-expanded', 'true');
+
+            var size = children.filter(function(subnode) {
+                return !isPseudoNode(subnode);
+            }).length;
+            var position = 0;
+            children.forEach(function(subnode) {
+                if (isPseudoNode(subnode)) {
+                    renderPseudoItem(nested, subnode, tree.fileData.path);
+                } else if (deepRender) {
+                    render(nested, subnode, level + 1, ++position, size);
+                } else {
+                    renderItem(nested, subnode, level + 1, ++position, size);
+                }
+            });
+        }
+
+        function render(element, tree, level, position, size) {
+            var item = renderItem(element, tree, level, position, size);
+            if (tree.fileData.expandable) {
+                renderChildren(item, tree, level, true);
+            }
+        }
+
+        /**
+         * Shows or hides loader of the item depending on
+         * whether its children are being loaded
+         */
+        function showLoading(path) {
+            var item = findItem(path).parent();
+            item.children('div.loader').remove();
+            if (loadingPaths.hasOwnProperty(path)) {
+                item.append(getLoader());
+            }
+        }
+
+        /**
+         * View which renders the whole tree as nested lists,
+         * used by default
+         */
+        function NestedListView() {
+            this.init = function(element) {
+                container = $('<ul>').addClass('treeView').appendTo(element);
+                return container;
+            }
+
+            this.redraw = function() {
+                container.empty();
+                render(container, currentTree(), 1, 1, 1);
+            }
+
+            this.showLoading = showLoading;
+
+            this.showExpanded = function(path, node) {
+                var item = findItem(path);
+                renderChildren(item.parent(), node, parseInt(item.attr('aria-level')));
+            }
+
+            this.showCollapsed = function(path) {
+                var item = findItem(path);
+                item.parent().children('ul.nested').remove();
+                item.attr('aria-expanded', 'false');
+            }
+
+            this.showChildrenChanged = function(path, node) {
+                var hadFocus = $.contains(container[0], document.activeElement);
+                var item = findItem(path);
+                item.parent().children('ul.nested').remove();
+                renderChildren(item.parent(), node, parseInt(item.attr('aria-level')), true);
+                if (hadFocus) {
+                    findItem(focusedPath).focus();
+                }
+            }
+
+            /**
+             * Updates children of the node after refresh, items of
+             * children which are not in `changed` map are kept as is
+             */
+            this.showChildrenUpdated = function(path, node, changed) {
+                var hadFocus = $.contains(container[0], document.activeElement);
+                var item = findItem(path);
+                var level = parseInt(item.attr('aria-level'));
+                var nested = item.parent().children('ul.nested');
+                var kept = {};
+                nested.children('li').each(function() {
+                    var childPath = $(this).children('span[path]').attr('path');
+                    if (childPath == null || changed.hasOwnProperty(childPath)) {
+                        $(this).remove(); // Pseudo-items are always re-rendered
+                    } else {
+                        kept[childPath] = $(this);
+                    }
+                });
+
+                var children = childrenWithUploads(node);
+                var size = children.filter(function(subnode) {
+                    return !isPseudoNode(subnode);
+                }).length;
+                var position = 0;
+                var last = null;
+                children.forEach(function(subnode) {
+                    var childItem;
+                    if (isPseudoNode(subnode)) {
+                        childItem = renderPseudoItem(nested, subnode, path);
+                    } else if (kept.hasOwnProperty(subnode.fileData.path)) {
+                        childItem = kept[subnode.fileData.path];
+                        delete kept[subnode.fileData.path];
+                        childItem.children('span[path]').attr({
+                            'aria-setsize': size,
+                            'aria-posinset': ++position
+                        });
+                    } else {
+                        render(nested, subnode, level + 1, ++position, size);
+                        childItem = nested.children('li').last();
+                    }
+                    // Move item only if it's not in place already
+                    if (last == null) {
+                        if (childItem[0] !== nested[0].firstChild) {
+                            nested.prepend(childItem);
+                        }
+                    } else if (childItem[0] !== last[0].nextSibling) {
+                        childItem.insertAfter(last);
+                    }
+                    last = childItem;
+                });
+                $.each(kept, function(childPath, childItem) {
+                    childItem.remove(); // Removed files
+                });
+                if (hadFocus) {
+                    findItem(focusedPath).focus();
+                }
+            }
+
+            /**
+             * Shows error message below the item for a while
+             */
+            this.showError = function(path, message) {
+                var item = findItem(path);
+                item.siblings('.treeError').remove();
+                var error = $('<div>')
+                    .addClass('treeError')
+                    .attr('role', 'alert')
+                    .text(message)
+                    .insertAfter(item);
+                setTimeout(function() {
+                    error.remove();
+                }, 5000);
+            }
+
+            this.scrollTo = function(path) {
+                var item = findItem(path);
+                if (item.length > 0) {
+                    item[0].scrollIntoView({block: 'nearest'});
+                }
+            }
+        }
+
+        /**
+         * View which renders only rows of flattened tree visible
+         * within scrollable viewport (see `renderMode`)
+         */
+        function VirtualListView() {
+            var viewport = null;
+            var rows = [];
+            var rendered = {}; // Rendered items by row index
+            var renderScheduled = false;
+            var focusedIndex = -1;
+            var focusedIndexPath = null;
+
+            /**
+             * Returns index of row with specified path or -1. Unlike
+             * `indexOfPath` it doesn't build index of all paths, so
+             * just expanded huge directory is shown faster
+             */
+            function rowIndex(path) {
+                for (var i = 0; i < rows.length; i++) {
+                    if (!isPseudoNode(rows[i].node) && rows[i].node.fileData.path === path) {
+                        return i;
+                    }
+                }
+                return -1;
+            }
+
+            /**
+             * Renders rows within viewport (plus some extra rows
+             * around) and focusable row, so that it keeps focus.
+             * Rows which are already rendered are kept as is
+             */
+            function renderRows() {
+                renderScheduled = false;
+                if (container == null) {
+                    return;
+                }
+                var rowHeight = settings.rowHeight;
+                var extra = 10;
+                var scrollTop = viewport[0].scrollTop;
+                var height = viewport[0].clientHeight || rowHeight * 50;
+                var first = Math.max(0, Math.floor(scrollTop / rowHeight) - extra);
+                var last = Math.min(rows.length - 1, Math.ceil((scrollTop + height) / rowHeight) + extra);
+                if (focusedIndexPath !== focusedPath) {
+                    focusedIndex = rowIndex(focusedPath);
+                    focusedIndexPath = focusedPath;
+                }
+
+                $.each(rendered, function(index, item) {
+                    index = parseInt(index);
+                    if ((index < first || index > last) && index !== focusedIndex) {
+                        item.remove();
+                        delete rendered[index];
+                    }
+                });
+                for (var i = first; i <= last; i++) {
+                    renderRow(i);
+                }
+                if (focusedIndex >= 0) {
+                    renderRow(focusedIndex);
+                }
+            }
+
+            function renderRow(index) {
+                if (rendered.hasOwnProperty(index)) {
+                    return;
+                }
+                var row = rows[index];
+                var item = isPseudoNode(row.node)
+                    ? renderPseudoItem(container, row.node, row.parentPath)
+                    : renderItem(container, row.node, row.level, row.position, row.size);
+                // Styles are set directly, as `css` method reads
+                // computed style of every row to set its height
+                var style = item[0].style;
+                style.top = index * settings.rowHeight + 'px';
+                style.height = settings.rowHeight + 'px';
+                style.lineHeight = settings.rowHeight + 'px';
+                style.paddingLeft = (row.level - 1) * settings.rowIndent + 'px';
+                rendered[index] = item;
+            }
+
+            function scheduleRender() {
+                if (renderScheduled) {
+                    return;
+                }
+                renderScheduled = true;
+                if (window.requestAnimationFrame) {
+                    window.requestAnimationFrame(renderRows);
+                } else {
+                    setTimeout(renderRows, 16);
+                }
+            }
+
+            this.init = function(element) {
+                viewport = $('<div>')
+                    .addClass('treeViewport')
+                    .on('scroll', scheduleRender)
+                    .appendTo(element);
+                container = $('<ul>').addClass('treeView virtual').appendTo(viewport);
+                return viewport;
+            }
+
+            this.redraw = function() {
+                var hadFocus = $.contains(container[0], document.activeElement);
+                rows = shownRows().all;
+                focusedIndexPath = null;
+                rendered = {};
+                container.empty()[0].style.height = rows.length * settings.rowHeight + 'px';
+                renderRows();
+                if (hadFocus) {
+                    findItem(focusedPath).focus();
+                }
+            }
+
+            this.showLoading = showLoading;
+            this.showExpanded = this.redraw;
+            this.showCollapsed = this.redraw;
+            this.showChildrenChanged = this.redraw;
+            this.showChildrenUpdated = this.redraw;
+
+            // There is no room for message within fixed height row
+            this.showError = function(path, message) {
+                showNotice(message);
+            }
+
+            this.scrollTo = function(path) {
+                var index = rowIndex(path);
+                if (index < 0) {
+                    return;
+                }
+                var top = index * settings.rowHeight;
+                var element = viewport[0];
+                if (top < element.scrollTop) {
+                    element.scrollTop = top;
+                } else if (top + settings.rowHeight > element.scrollTop + element.clientHeight) {
+                    element.scrollTop = top + settings.rowHeight - element.clientHeight;
+                }
+                renderRows();
+            }
+        }
+
+        /*
+         * Details render mode: nested lists with columns (see
+         * `columns`) and header which allows to sort, resize and
+         * hide them. Layout is stored by state holder.
+         */
+
+        var columns = settings.renderMode === 'details'
+            ? settings.columns.map(createColumn)
+            : [];
+        var columnHeader = null;
+        var sortColumn = null; // Identifier of column tree is sorted by
+
+        /**
+         * Name of CSS variable holding width of column
+         */
+        function columnWidthVariable(index) {
+            return '--treeColumn' + index;
+        }
+
+        function saveColumnLayout() {
+            if (typeof settings.stateHolder.saveColumns !== 'function') {
+                return;
+            }
+            var layout = {columns: {}, sort: null};
+            columns.forEach(function(column) {
+                layout.columns[column.id] = {width: column.width, hidden: !!column.hidden};
+            });
+            if (sortColumn != null) {
+                layout.sort = {column: sortColumn, order: settings.sort.order};
+            }
+            settings.stateHolder.saveColumns(layout);
+        }
+
+        /**
+         * Applies layout restored by state holder
+         */
+        function restoreColumnLayout() {
+            var sorted = [findColumn('name')].concat(columns).filter(function(column) {
+                return column.sortBy === settings.sort.by;
+            })[0];
+            if (sorted != null && typeof settings.sort.comparator !== 'function') {
+                sortColumn = sorted.id;
+            }
+            if (typeof settings.stateHolder.getColumns !== 'function') {
+                return;
+            }
+            var layout = settings.stateHolder.getColumns();
+            if (layout == null) {
+                return;
+            }
+            columns.forEach(function(column) {
+                var stored = layout.columns != null ? layout.columns[column.id] : null;
+                if (stored != null) {
+                    column.width = stored.width || column.width;
+                    column.hidden = stored.hidden;
+                }
+            });
+            if (layout.sort != null) {
+                var column = findColumn(layout.sort.column);
+                if (column != null) {
+                    applyColumnSort(column, layout.sort.order);
+                }
+            }
+        }
+
+        function findColumn(id) {
+            if (id === 'name') {
+                return {id: 'name', sortBy: 'name'};
+            }
+            return columns.filter(function(column) {
+                return column.id === id;
+            })[0];
+        }
+
+        function isSortable(column) {
+            return column.sortBy != null || typeof column.compare === 'function';
+        }
+
+        function applyColumnSort(column, order) {
+            sortColumn = column.id;
+            settings.sort = $.extend({}, settings.sort, {
+                by: column.sortBy || 'name',
+                order: order === 'desc' ? 'desc' : 'asc',
+                comparator: column.sortBy == null ? column.compare : null
+            });
+        }
+
+        /**
+         * Sorts all loaded directories again, e.g. when sort is
+         * changed for the whole tree
+         */
+        function resortLoaded() {
+            function walk(node) {
+                if (!isExpanded(node)) {
+                    return;
+                }
+                node.children = sortChildren(node.fileData.path, node.children);
+                node.children.forEach(function(child) {
+                    if (!isPseudoNode(child)) {
+                        walk(child);
+                    }
+                });
+            }
+            walk(settings.stateHolder.getCurrentState());
+            if (filter != null) {
+                walk(filter.tree.root);
+            }
+            rowsCache = null;
+        }
+
+        /**
+         * Sorts the whole tree by column, sorting by the same
+         * column again reverses order. Sort of single directories
+         * chosen by user is discarded
+         */
+        function sortByColumn(id) {
+            var column = findColumn(id);
+            if (column == null || !isSortable(column)) {
+                return;
+            }
+            var order = sortColumn === id && settings.sort.order !== 'desc' ? 'desc' : 'asc';
+            applyColumnSort(column, order);
+            sorts = {};
+            if (typeof settings.stateHolder.saveSort === 'function') {
+                settings.stateHolder.saveSort(sorts);
+            }
+            resortLoaded();
+            redraw();
+            saveColumnLayout();
+            var root = currentTree();
+            trigger('sort', [root.fileData, root.fileData.path, settings.sort]);
+        }
+
+        function toggleColumn(id) {
+            var column = findColumn(id);
+            column.hidden = !column.hidden;
+            saveColumnLayout();
+            redraw();
+        }
+
+        /**
+         * Renders header row of details view
+         */
+        function renderColumnHeader() {
+            function headerCell(column, label) {
+                var cell = $('<span>')
+                    .addClass('treeColumnHeader')
+                    .attr({role: 'columnheader', 'data-column': column.id})
+                    .text(label);
+                if (isSortable(column)) {
+                    cell.addClass('sortable').attr('aria-sort', sortColumn !== column.id
+                        ? 'none'
+                        : settings.sort.order === 'desc' ? 'descending' : 'ascending');
+                }
+                return cell;
+            }
+            var header = $('<div>')
+                .addClass('treeColumns')
+                .attr('role', 'row')
+                .append(headerCell({id: 'name', sortBy: 'name'}, 'Name').addClass('treeCellName'));
+            columns.forEach(function(column, index) {
+                if (column.hidden) {
+                    return;
+                }
+                holder.css(columnWidthVariable(index), column.width + 'px');
+                headerCell(column, column.label)
+                    .addClass('treeCell')
+                    .css('width', 'var(' + columnWidthVariable(index) + ')')
+                    .append($('<span>').addClass('columnResizer').attr('data-index', index))
+                    .appendTo(header);
+            });
+            return header
+                .on('click', 'span.sortable', function(event) {
+                    if (!$(event.target).hasClass('columnResizer')) {
+                        sortByColumn($(this).attr('data-column'));
+                    }
+                })
+                .on('mousedown', 'span.columnResizer', columnResizeHandler)
+                .on('contextmenu', function(event) {
+                    event.preventDefault();
+                    showMenu('Columns', columns.map(function(column) {
+                        return {
+                            label: column.label,
+                            checked: !column.hidden,
+                            handler: function() {
+                                toggleColumn(column.id);
+                            }
+                        };
+                    }), event.clientX, event.clientY);
+                });
+        }
+
+        /**
+         * Changes width of column while its header border is dragged
+         */
+        function columnResizeHandler(event) {
+            event.preventDefault();
+            var index = parseInt($(this).attr('data-index'));
+            var column = columns[index];
+            var startX = event.clientX;
+            var startWidth = column.width;
+            function move(moveEvent) {
+                column.width = Math.max(30, startWidth + moveEvent.clientX - startX);
+                holder.css(columnWidthVariable(index), column.width + 'px');
+            }
+            function stop() {
+                $(document).off('mousemove', move).off('mouseup', stop);
+                saveColumnLayout();
+            }
+            $(document).on('mousemove', move).on('mouseup', stop);
+        }
+
+        /**
+         * Wraps content of rendered item into name cell and adds
+         * cells of visible columns
+         */
+        function renderCells(itemContent, fileData) {
+            itemContent.wrapInner($('<span>').addClass('treeCellName').attr('role', 'gridcell'));
+            columns.forEach(function(column, index) {
+                if (column.hidden) {
+                    return;
+                }
+                var cell = $('<span>')
+                    .addClass('treeCell')
+                    .attr('role', 'gridcell')
+                    .css('width', 'var(' + columnWidthVariable(index) + ')')
+                    .text(column.render(fileData, settings));
+                if (column.align === 'right') {
+                    cell.addClass('right');
+                }
+                if (typeof column.title === 'function') {
+                    cell.attr('title', column.title(fileData));
+                }
+                itemContent.append(cell);
+            });
+        }
+
+        /**
+         * Nested lists view with header of columns
+         */
+        function DetailsView() {
+            NestedListView.call(this);
+            var initList = this.init;
+            var redrawList = this.redraw;
+
+            this.init = function(element) {
+                columnHeader = renderColumnHeader().appendTo(element);
+                return initList(element).addClass('details');
+            }
+
+            this.redraw = function() {
+                var header = renderColumnHeader();
+                columnHeader.replaceWith(header);
+                columnHeader = header;
+                redrawList();
+            }
+        }
+
+
+        /*
+         * Preview pane (see `preview`) showing selected file
+         */
+
+        var previewPane = null;
+        var previewToken = 0; // Identifies the latest preview request
+        var previewRequest = null;
+        var previewObjectUrl = null;
+
+        /**
+         * Returns name of previewer for MIME type, see `previewTypeMap`
+         */
+        function previewerOf(type) {
+            var map = settings.previewTypeMap;
+            if (map.hasOwnProperty(type)) {
+                return map[type];
+            }
+            var wildcard = String(type).replace(/\/.*$/, '/*');
+            return map.hasOwnProperty(wildcard) ? map[wildcard] : 'metadata';
+        }
+
+        function clearPreview() {
+            previewToken++;
+            if (previewRequest != null && typeof previewRequest.abort === 'function') {
+                previewRequest.abort();
+            }
+            previewRequest = null;
+            if (previewObjectUrl != null) {
+                URL.revokeObjectURL(previewObjectUrl);
+                previewObjectUrl = null;
+            }
+            if (previewPane != null) {
+                previewPane.empty();
+            }
+        }
+
+        /**
+         * Renders card with all known properties of file
+         */
+        function renderMetadataCard(fileData) {
+            var card = $('<dl>').addClass('treePreviewMeta');
+            function add(label, value) {
+                if (value != null && value !== '') {
+                    card.append($('<dt>').text(label), $('<dd>').text(value));
+                }
+            }
+            add('Type', fileData.type);
+            add('Path', fileData.path);
+            add('Size', formatSize(fileData.size));
+            add('Compressed', formatSize(fileData.compressedSize));
+            add('Modified', formatDate(fileData.modified, false));
+            $.each(fileData.attributes || {}, function(name, value) {
+                add(name, String(value));
+            });
+            return card;
+        }
+
+        /**
+         * Renders beginning of text file in monospace view with
+         * line numbers. Language (file extension) is set as class
+         * of `code` element, so that syntax highlighter can be
+         * applied to it
+         */
+        function renderTextPreview(fileData, blob) {
+            var limit = settings.previewTextLimit;
+            var truncated = blob.size > limit || fileData.size > limit;
+            var reader = new FileReader();
+            var token = previewToken;
+            reader.onload = function() {
+                if (token !== previewToken) {
+                    return;
+                }
+                var code = $('<code>');
+                var dot = fileData.name.lastIndexOf('.');
+                if (dot > 0) {
+                    code.addClass('language-' + fileData.name.substring(dot + 1).toLowerCase());
+                }
+                reader.result.split(/\r?\n/).forEach(function(line) {
+                    code.append($('<span>').addClass('line').text(line), '\n');
+                });
+                previewPane.children('.loader').remove();
+                previewPane.append($('<pre>').addClass('treePreviewText').append(code));
+                if (truncated) {
+                    previewPane.append($('<div>')
+                        .addClass('meta')
+                        .text('Only the first ' + formatSize(limit) + ' are shown'));
+                }
+            };
+            reader.readAsText(blob.slice(0, limit));
+        }
+
+        /**
+         * Shows preview of selected file, or metadata card if
+         * file cannot be previewed
+         */
+        function updatePreview() {
+            if (previewPane == null) {
+                return;
+            }
+            clearPreview();
+            var selected = getSelection();
+            if (selected.length != 1) {
+                previewPane.append($('<div>').addClass('meta').text(selected.length == 0
+                    ? 'Select file to preview it'
+                    : selected.length + ' items selected'));
+                return;
+            }
+            var fileData = selected[0];
+            previewPane.append($('<div>').addClass('treePreviewTitle').append(
+                renderIcon(fileData),
+                ' ',
+                $('<span>').text(fileData.name)
+            ));
+            var previewer = fileData.expandable ? 'metadata' : previewerOf(fileData.type);
+            if (previewer === 'metadata' || typeof settings.dataProvider.read !== 'function') {
+                previewPane.append(renderMetadataCard(fileData));
+                return;
+            }
+
+            var token = previewToken;
+            var range = previewer === 'text' ? {start: 0, end: settings.previewTextLimit} : null;
+            previewPane.append(getLoader());
+            previewRequest = settings.dataProvider.read(fileData.path, range, function(blob) {
+                if (token !== previewToken) {
+                    return;
+                }
+                previewRequest = null;
+                if (previewer === 'text') {
+                    renderTextPreview(fileData, blob);
+                    return;
+                }
+                previewPane.children('.loader').remove();
+                previewObjectUrl = URL.createObjectURL(
+                    blob.type !== '' ? blob : blob.slice(0, blob.size, fileData.type)
+                );
+                if (previewer === 'image') {
+                    previewPane.append($('<img>')
+                        .addClass('treePreviewImage')
+                        .attr({src: previewObjectUrl, alt: fileData.name}));
+                } else {
+                    previewPane.append($('<iframe>')
+                        .addClass('treePreviewPdf')
+                        .attr({src: previewObjectUrl, title: fileData.name}));
+                }
+            }, function(error) {
+                if (token !== previewToken) {
+                    return;
+                }
+                previewRequest = null;
+                previewPane.children('.loader').remove();
+                previewPane.append(
+                    $('<div>').addClass('treeError').text(errorMessage(error)),
+                    renderMetadataCard(fileData)
+                );
+            });
+        }
+
+
+        /**
+         * Expands all ancestors of the node with specified path
+         * one by one, loading them if necessary
+         */
+        function expandParents(path, callback, errorCallback) {
+            var paths = parentPaths(path);
+            function next(index) {
+                if (index == paths.length) {
+                    callback();
+                    return;
+                }
+                if (findNode(paths[index]) == null) {
+                    console.error("No node was found by path: " + paths[index]);
+                    return;
+                }
+                expand(paths[index], function() {
+                    next(index + 1);
+                }, errorCallback);
+            }
+            next(0);
+        }
+
+        /**
+         * Renders the whole tree which is currently shown
+         */
+        function redraw() {
+            rowsCache = null;
+            view.redraw();
+            if (findNode(focusedPath) == null) {
+                focusPath('', false);
+            }
+        }
+
+        /**
+         * Builds tree from found `FileData` objects, ancestors
+         * missing in search results are taken from current state
+         * or created as plain directories
+         */
+        function buildResultTree(fileDataList) {
+            var known = {};
+            visibleNodes(settings.stateHolder.getCurrentState()).forEach(function(row) {
+                known[row.node.fileData.path] = row.node.fileData;
+            });
+            fileDataList.forEach(function(fileData) {
+                known[fileData.path] = fileData;
+            });
+
+            var nodes = {};
+            function getNode(path) {
+                if (nodes.hasOwnProperty(path)) {
+                    return nodes[path];
+                }
+                var fileData = known[path];
+                if (fileData == null) {
+                    fileData = {
+                        path: path,
+                        name: path.substring(path.lastIndexOf('/') + 1),
+                        type: 'directory',
+                        expandable: true
+                    };
+                }
+                var node = {fileData: $.extend({}, fileData), children: []};
+                nodes[path] = node;
+                if (path !== '') {
+                    var parents = parentPaths(path);
+                    var parentNode = getNode(parents[parents.length - 1]);
+                    parentNode.fileData.expandable = true;
+                    parentNode.children.push(node);
+                }
+                return node;
+            }
+            var root = getNode('');
+            fileDataList.forEach(function(fileData) {
+                getNode(fileData.path);
+            });
+            $.each(nodes, function(path, node) {
+                node.children.sort(createNodeComparator(sortOf(path)));
+            });
+            return root;
+        }
+
+        /**
+         * Returns loaded nodes matching search (with ancestors),
+         * used for data providers which cannot search themselves
+         */
+        function searchLoaded(matcher) {
+            var result = [];
+            visibleNodes(settings.stateHolder.getCurrentState()).forEach(function(row) {
+                var fileData = row.node.fileData;
+                if (fileData.path !== '' && matcher(fileData.name) != null) {
+                    result.push(fileData);
+                }
+            });
+            return result;
+        }
+
+        var searchRequest = 0;
+        var pendingSearch = null;
+
+        /**
+         * Makes results of search which is in progress outdated
+         * and aborts its request if data provider allows that
+         */
+        function cancelSearch() {
+            searchRequest++;
+            if (pendingSearch != null && typeof pendingSearch.abort === 'function') {
+                pendingSearch.abort();
+            }
+            pendingSearch = null;
+        }
+
+        /**
+         * Filters tree by name using search query, empty query
+         * restores the tree from current state
+         */
+        function applySearch(query, mode) {
+            cancelSearch();
+            if (toolbar != null) {
+                toolbar.find('.treeSearch').removeClass('invalid');
+                toolbar.find('.searchStatus').empty();
+            }
+            if (query === '') {
+                if (filter != null) {
+                    filter = null;
+                    redraw();
+                }
+                return;
+            }
+
+            var matcher;
+            try {
+                matcher = createNameMatcher(query, mode);
+            } catch (e) {
+                if (toolbar != null) {
+                    toolbar.find('.treeSearch').addClass('invalid');
+                }
+                return;
+            }
+            loadSearchResults(query, mode, matcher, [], 0);
+        }
+
+        /**
+         * Requests page of search results starting from `offset`
+         * and shows them along with results found before
+         */
+        function loadSearchResults(query, mode, matcher, found, offset) {
+            var request = searchRequest;
+            function showResults(fileDataList, info) {
+                if (request !== searchRequest || container == null) {
+                    return; // Results of outdated search
+                }
+                pendingSearch = null;
+                var results = found.concat(fileDataList);
+                filter = {
+                    query: query,
+                    mode: mode,
+                    matcher: matcher,
+                    tree: getIndexedFileDataTree(buildResultTree(results))
+                };
+                redraw();
+
+                var nextOffset = offset + settings.searchPageSize;
+                var total = info != null ? info.total : null;
+                showSearchStatus(results.filter(function(fileData) {
+                    return matcher(fileData.name) != null;
+                }).length, total != null && nextOffset < total ? total : null, function() {
+                    loadSearchResults(query, mode, matcher, results, nextOffset);
+                });
+            }
+
+            if (typeof settings.dataProvider.search === 'function') {
+                var options = {mode: mode, offset: offset, limit: settings.searchPageSize};
+                pendingSearch = settings.dataProvider.search(query, options, showResults, function(error) {
+                    if (request === searchRequest && toolbar != null) {
+                        pendingSearch = null;
+                        toolbar.find('.treeSearch').addClass('invalid');
+                        toolbar.find('.searchStatus').text('search failed');
+                    }
+                });
+            } else {
+                showResults(searchLoaded(matcher));
+            }
+        }
+
+        /**
+         * Shows number of found files, if not all of them are
+         * loaded yet (`total` isn't `null`), link to load more
+         * results is shown too
+         */
+        function showSearchStatus(found, total, loadMore) {
+            if (toolbar == null) {
+                return;
+            }
+            var status = toolbar.find('.searchStatus').empty();
+            if (total == null) {
+                status.text(found > 0 ? found + ' found' : 'nothing found');
+                return;
+            }
+            status.append(
+                found + ' of ' + total + ' found ',
+                $('<button>')
+                    .attr('type', 'button')
+                    .addClass('searchMore')
+                    .text('Load more')
+                    .click(function() {
+                        status.empty().append(getLoader());
+                        loadMore();
+                    })
+            );
+        }
+
+        /**
+         * Creates toolbar above the tree with refresh button
+         * and search box if they are enabled
+         */
+        function renderToolbar(element) {
+            var result = $('<div>').addClass('treeToolbar').appendTo(element);
+            if (settings.refreshButton) {
+                $('<button>')
+                    .attr({type: 'button', title: 'Refresh (F5)', 'aria-label': 'Refresh'})
+                    .addClass('treeRefresh')
+                    .append($('<i>').addClass('fas fa-sync-alt'))
+                    .click(function() {
+                        refreshTree('');
+                    })
+                    .appendTo(result);
+            }
+            if (settings.search) {
+                result.append(' ', renderSearchBox());
+            }
+            return result;
+        }
+
+        /**
+         * Creates search box with search mode selector
+         * and search status
+         */
+        function renderSearchBox() {
+            var timeout = null;
+            var input = $('<input>')
+                .attr({type: 'search', placeholder: 'Filter', 'aria-label': 'Filter files'})
+                .addClass('treeSearch');
+            var modeSelect = $('<select>')
+                .attr('aria-label', 'Filter mode')
+                .append(
+                    $('<option>').val('substring').text('text'),
+                    $('<option>').val('glob').text('glob'),
+                    $('<option>').val('regex').text('regex')
+                )
+                .val(settings.searchMode);
+            function search() {
+                clearTimeout(timeout);
+                applySearch(input.val(), modeSelect.val());
+            }
+            input
+                .on('input', function() {
+                    clearTimeout(timeout);
+                    cancelSearch();
+                    timeout = setTimeout(search, settings.searchDelay);
+                })
+                .on('keydown', function(event) {
+                    if (event.key === 'Escape') {
+                        input.val('');
+                        search();
+                    } else if (event.key === 'Enter') {
+                        search();
+                    } else if (event.key === 'ArrowDown') {
+                        focusPath(focusedPath);
+                    } else {
+                        return;
+                    }
+                    event.preventDefault();
+                });
+            modeSelect.on('change', search);
+
+            return [input, ' ', modeSelect, ' ', $('<span>').addClass('meta searchStatus')];
+        }
+
+        /**
+         * Refreshes subtree of node with specified path (see `refresh`)
+         * and notifies listeners once it's done. While search results
+         * are shown, search is repeated instead
+         */
+        function refreshTree(path, callback) {
+            if (filter != null) {
+                if (typeof settings.dataProvider.invalidate === 'function') {
+                    settings.dataProvider.invalidate(path);
+                }
+                applySearch(filter.query, filter.mode);
+                if (callback) callback();
+                return;
+            }
+            refresh(path, function() {
+                var node = findNode(path);
+                if (node != null) {
+                    trigger('refresh', [node.fileData, path]);
+                }
+                if (callback) callback();
+            });
+        }
+
+        /**
+         * Validates restored state against data provider: files which
+         * disappeared are removed, new ones are added. Tree is usable
+         * while this is in progress, notice is shown if some of
+         * restored nodes were discarded
+         */
+        function reconcileState() {
+            refresh('', function(removed) {
+                if (container == null || removed.length == 0) {
+                    return;
+                }
+                var root = settings.stateHolder.getCurrentState();
+                trigger('reconcile', [root.fileData, root.fileData.path, removed]);
+                showNotice(removed.length == 1
+                    ? '1 previously shown file no longer exists'
+                    : removed.length + ' previously shown files no longer exist');
+            });
+        }
+
+        /**
+         * Applies state changed by other browser tab: nodes collapsed
+         * there are collapsed, nodes expanded there are expanded with
+         * children taken from that state, so they aren't loaded again
+         */
+        function applyRemoteState(remoteRoot) {
+            if (container == null || filter != null) {
+                return;
+            }
+            var remote = getIndexedFileDataTree(remoteRoot);
+            visibleNodes().forEach(function(row) {
+                var path = row.node.fileData.path;
+                var node = findNode(path); // Could be removed by collapsed ancestor
+                if (node != null && isExpanded(node)
+                        && remote.has(path) && !isExpanded(remote.get(path))) {
+                    collapse(path);
+                }
+            });
+
+            function walk(remoteNode) {
+                if (isPseudoNode(remoteNode) || !isExpanded(remoteNode)) {
+                    return;
+                }
+                var path = remoteNode.fileData.path;
+                var node = findNode(path);
+                if (node == null || !node.fileData.expandable || loadingPaths.hasOwnProperty(path)) {
+                    return;
+                }
+                if (isExpanded(node)) {
+                    remoteNode.children.forEach(walk);
+                    return;
+                }
+                view.showChildrenChanged(path, addNodes(path, remoteNode.children));
+                trigger('expand', [node.fileData, path]);
+            }
+            walk(remoteRoot);
+        }
+
+        /**
+         * Expands nodes with specified paths, ancestors first. Paths
+         * of nodes which don't exist (or are within collapsed ones)
+         * are skipped
+         */
+        function expandPaths(paths, callback) {
+            paths = paths.slice().sort(function(first, second) {
+                return parentPaths(first).length - parentPaths(second).length;
+            });
+            function next(index) {
+                if (index == paths.length) {
+                    if (callback) callback();
+                    return;
+                }
+                var node = findNode(paths[index]);
+                if (node == null || !node.fileData.expandable) {
+                    next(index + 1);
+                    return;
+                }
+                expand(paths[index], function() {
+                    next(index + 1);
+                }, function() {
+                    next(index + 1);
+                });
+            }
+            next(0);
+        }
+
+        /**
+         * Shows dismissible message above the tree
+         */
+        function showNotice(text) {
+            if (notice != null) {
+                notice.remove();
+            }
+            notice = $('<div>')
+                .addClass('treeNotice meta')
+                .attr('role', 'status')
+                .append(
+                    $('<span>').text(text),
+                    ' ',
+                    $('<button>')
+                        .attr({type: 'button', 'aria-label': 'Dismiss'})
+                        .addClass('treeNoticeClose')
+                        .html('&times;')
+                        .click(function() {
+                            notice.remove();
+                            notice = null;
+                        })
+                )
+                .insertBefore(viewElement);
+        }
+
+        var readyCallbacks = [];
+
+        /**
+         * Calls function once tree is initialized
+         */
+        function whenReady(callback) {
+            if (container != null) {
+                callback();
+            } else if (readyCallbacks != null) {
+                readyCallbacks.push(callback);
+            }
+        }
+
+        /*
+         * Public API, available through `$(element).fileTree('<method>', ...)`
+         */
+
+        /**
+         * Expands node with specified path, its ancestors
+         * are expanded too if needed. Optional `errorCallback`
+         * gets error if some of them can't be expanded
+         */
+        this.expand = function(path, callback, errorCallback) {
+            whenReady(function() {
+                expandParents(path, function() {
+                    if (findNode(path) == null) {
+                        console.error("No node was found by path: " + path);
+                    } else {
+                        expand(path, callback, errorCallback);
+                    }
+                }, errorCallback);
+            });
+        }
+
+        /**
+         * Collapses node with specified path
+         */
+        this.collapse = function(path) {
+            whenReady(function() {
+                collapse(path);
+            });
+        }
+
+        /**
+         * Expands all ancestors of node with specified path,
+         * makes it focusable and scrolls it into view
+         */
+        this.reveal = function(path, callback) {
+            whenReady(function() {
+                expandParents(path, function() {
+                    if (findNode(path) == null) {
+                        console.error("No node was found by path: " + path);
+                        return;
+                    }
+                    focusPath(path, false);
+                    view.scrollTo(path);
+                    updateDeepLink(path);
+                    if (callback) callback();
+                });
+            });
+        }
+
+        /**
+         * Reloads children of expanded node with specified path
+         * (or root if path isn't specified) and of all its expanded
+         * descendants, keeping them expanded
+         */
+        this.refresh = function(path, callback) {
+            whenReady(function() {
+                refreshTree(path != null ? path : '', callback);
+            });
+        }
+
+        /**
+         * Removes cached listings of directory with specified
+         * path and all directories within it (see `cache`)
+         */
+        this.invalidate = function(path) {
+            if (typeof settings.dataProvider.invalidate === 'function') {
+                settings.dataProvider.invalidate(path);
+            }
+        }
+
+        /**
+         * Creates directory with specified name (or name entered by
+         * user if it isn't specified) within directory with specified
+         * path, optional callback gets `FileData` of created directory
+         */
+        this.createDirectory = function(parentPath, name, callback) {
+            whenReady(function() {
+                expandParents(parentPath, function() {
+                    expand(parentPath, function() {
+                        createDirectory(parentPath, name, callback);
+                    });
+                });
+            });
+        }
+
+        /**
+         * Renames file with specified path (name is entered by user
+         * if it isn't specified), optional callback gets `FileData`
+         * of renamed file
+         */
+        this.rename = function(path, name, callback) {
+            whenReady(function() {
+                expandParents(path, function() {
+                    rename(path, name, callback);
+                });
+            });
+        }
+
+        /**
+         * Removes file with specified path without confirmation,
+         * optional callback gets `FileData` of removed file
+         */
+        this.remove = function(path, callback) {
+            whenReady(function() {
+                expandParents(path, function() {
+                    remove(path, callback);
+                });
+            });
+        }
+
+        /**
+         * Moves file with specified path into directory with path
+         * `targetPath`, optional callback gets `FileData` of moved file
+         */
+        this.move = function(path, targetPath, callback) {
+            whenReady(function() {
+                expandParents(path, function() {
+                    expandParents(targetPath, function() {
+                        transfer(path, targetPath, false, callback);
+                    });
+                });
+            });
+        }
+
+        /**
+         * Copies file with specified path into directory with path
+         * `targetPath`, optional callback gets `FileData` of the copy
+         */
+        this.copy = function(path, targetPath, callback) {
+            whenReady(function() {
+                expandParents(path, function() {
+                    expandParents(targetPath, function() {
+                        transfer(path, targetPath, true, callback);
+                    });
+                });
+            });
+        }
+
+        /**
+         * Changes sort of directory, `by` is one of keys supported
+         * by `sort` option (default sort is used if it's `null`)
+         */
+        this.sort = function(path, by, order) {
+            whenReady(function() {
+                changeSort(path, by, order);
+            });
+        }
+
+        /**
+         * Checks node with all its descendants (see `checkboxes`)
+         */
+        this.check = function(path, callback) {
+            whenReady(function() {
+                setChecked(path, true, callback);
+            });
+        }
+
+        /**
+         * Unchecks node with all its descendants
+         */
+        this.uncheck = function(path, callback) {
+            whenReady(function() {
+                setChecked(path, false, callback);
+            });
+        }
+
+        /**
+         * Returns minimal set of checked paths: fully checked
+         * directory is presented by its path only
          */
-        function extractFileName(name) {
-            if (name === "") { // Extra case - root directory
-                return $('<span>').addClass('meta').append('&lt;root&gt;');
-            }
-            if (name.length > 40) {
-                return name.substring(0, 30) + '<span class="meta">&lt;...&gt;</span>';
-            }
-            return name;
+        this.getChecked = function() {
+            return Object.keys(checked);
         }
 
         /**
-         * Returns icon class by file type or default icon class
+         * Passes `FileData` of all checked files (including not
+         * loaded ones within checked directories) to callback
          */
-        function typeToIcon(type) {
-            var clazz = settings.typeToIconClassMap[type];
-            if (clazz != null) {
-                return clazz;
-            }
-            return settings.defaultIconClass;
+        this.getCheckedFiles = function(callback, errorCallback) {
+            whenReady(function() {
+                getCheckedFiles(callback, errorCallback);
+            });
         }
 
-        function getLoader() {
-            return $('<div>').addClass('loader');
+        /**
+         * Filters tree by name (see `searchMode` for supported
+         * modes), empty query clears the filter
+         */
+        this.search = function(query, mode) {
+            whenReady(function() {
+                mode = mode || settings.searchMode;
+                if (toolbar != null) {
+                    toolbar.find('.treeSearch').val(query);
+                    toolbar.find('select').val(mode);
+                }
+                applySearch(query, mode);
+            });
         }
 
         /**
-         * Copies tree node without its children
+         * Collapses all nodes, clears selection and removes
+         * state of the tree stored by state holder
          */
-        function copyChildren(children) {
-            var result = [];
-            children.forEach(function(child) {
-                if (isEmptyNode(child)) {
-                    result.push(child); // No need to copy that
-                    return;
+        this.clearState = function() {
+            whenReady(function() {
+                changeSelection([]);
+                selectionAnchor = null;
+                checked = {};
+                sorts = {};
+                if (typeof settings.stateHolder.clear === 'function') {
+                    settings.stateHolder.clear();
+                } else {
+                    settings.stateHolder.clearNode('');
+                }
+                if (filter != null) {
+                    cancelSearch();
+                    filter = null;
+                    if (toolbar != null) {
+                        toolbar.find('.treeSearch').val('');
+                        toolbar.find('.searchStatus').empty();
+                    }
                 }
-                var copy = {};
-                copy.fileData = $.extend({}, child.fileData);
-                if (child.fileData.expandable)
-                    copy.children = [] // Don't need to copy children
-                result.push(copy);
+                redraw();
             });
-            return result;
         }
 
-        function expandableNodeClickHandler() {
-            var element = $(this);
-            var parent = element.parent();
-            var path = element.attr('path');
-            if (parent.has('ul.nested').length > 0) {
-                // Collapse
-                parent.children('ul.nested').remove();
-                settings.stateHolder.clearNode(path);
-            } else {
-                // Expand
-                parent.append(getLoader());
-                settings.dataProvider.list(path, function(data) {
-                    if (data.length == 0) {
-                        var emptyNode = {empty:true};
-                        data.push(emptyNode);
-                    }
-                    var node = settings.stateHolder.addNodes(path, copyChildren(data));
-                    render(parent.empty(), node);
-                }, function() {
-                    // Remove loader in case of error:
-                    parent.children('div').remove();
-                });
+        /**
+         * Returns paths of expanded nodes, selected `FileData`
+         * objects, checked paths and path of focusable node
+         */
+        this.getState = function() {
+            if (container == null) {
+                return null;
             }
+            return {
+                expanded: visibleNodes(settings.stateHolder.getCurrentState())
+                    .filter(function(row) {
+                        return isExpanded(row.node);
+                    })
+                    .map(function(row) {
+                        return row.node.fileData.path;
+                    }),
+                selection: getSelection(),
+                checked: Object.keys(checked),
+                focused: focusedPath
+            };
         }
 
-        function renderItem(element, node) {
-            var icon = $('<i>')
-                    .addClass(typeToIcon(node.fileData.type))
-                    .attr('title', node.fileData.type);
-            var itemContent = $('<span>')
-                .attr('path', node.fileData.path)
-                .append(
-                    icon,
-                    ' ',
-                    extractFileName(node.fileData.name)
-                );
-            if (node.fileData.expandable) {
-                itemContent
-                    .click(expandableNodeClickHandler)
-                    .addClass('expandable');
+        /**
+         * Removes tree from the page and releases all
+         * resources held by it
+         */
+        this.destroy = function() {
+            readyCallbacks = null;
+            cancelSearch();
+            hideContextMenu();
+            cancelLongPress();
+            $.each(uploads, function(path, pending) {
+                pending.forEach(function(upload) {
+                    if (upload.request != null && typeof upload.request.abort === 'function') {
+                        upload.request.abort();
+                    }
+                });
+            });
+            uploads = {};
+            $(window).off('hashchange', followDeepLink);
+            if (unsubscribe != null) {
+                unsubscribe();
+                unsubscribe = null;
             }
-            return $('<li>').append(itemContent).appendTo(element);
+            clearPreview();
+            if (previewPane != null && settings.preview !== true) {
+                previewPane.removeClass('treePreview').removeAttr('role aria-label');
+            }
+            previewPane = null;
+            if (holder != null) {
+                holder.empty().removeClass('treeWithPreview');
+            }
+            // Tree can be destroyed before data provider is loaded
+            element.children('.loader-big').remove();
+            element.removeData('fileTree');
+            if (typeof settings.dataProvider.release === 'function') {
+                settings.dataProvider.release();
+            }
+            if (typeof settings.stateHolder.release === 'function') {
+                settings.stateHolder.release();
+            }
+            container = null;
+            toolbar = null;
+            notice = null;
+            viewElement = null;
+            filter = null;
+            holder = null;
         }
 
-        function renderEmptyItem(element) {
-            $('<li>')
-                .append($('<span>').addClass('meta').append('&lt;empty&gt;'))
-                .appendTo(element);
+        var holder = null;
+        var toolbar = null;
+        var notice = null;
+        var viewElement = null; // Element created by view
+        var unsubscribe = null; // Cancels subscription to state changes
+        var container = null;
+        var filter = null; // Search query, matcher and results tree
+        var loadingPaths = {}; // Callbacks waiting for nodes being loaded
+        var rowsCache = null; // See `shownRows`
+        var view;
+        switch (settings.renderMode) {
+            case 'virtual':
+                view = new VirtualListView();
+                break;
+            case 'details':
+                view = new DetailsView();
+                break;
+            default:
+                view = new NestedListView();
         }
+        var focusedPath = '';
+        var selection = {}; // Selected `FileData` objects by path
+        var selectionAnchor = null;
+        var checked = {}; // Checked paths, see `checkState`
+        var sorts = {}; // Sort options of directories, see `changeSort`
 
-        function render(element, tree, deepRender) {
-            if (isEmptyNode(tree)) {
-                renderEmptyItem(element);
-                return;
+        /**
+         * Renders the tree into element, optional `expandedPaths`
+         * are expanded after that (see `stateHolder`)
+         */
+        this.init = function(element, expandedPaths) {
+            if (readyCallbacks == null) {
+                return; // Destroyed before initialization
             }
-
-            var item = renderItem(element, tree);
-            if (tree.fileData.expandable) {
-                if (tree.children.length > 0) {
-                    var nested = $('<ul>').addClass('nested');
-                    item.append(nested);
-                    tree.children.forEach(function(subnode) {
-                        if (isEmptyNode(subnode)) {
-                            renderEmptyItem(nested);
-                        } else if (deepRender) {
-                            render(nested, subnode, deepRender);
-                        } else {
-                            renderItem(nested, subnode);
-                        }
-                    });
-                }
+            holder = element;
+            if (settings.persistSelection
+                    && typeof settings.stateHolder.getSelection === 'function') {
+                settings.stateHolder.getSelection().forEach(function(fileData) {
+                    selection[fileData.path] = fileData;
+                });
+            }
+            if (typeof settings.stateHolder.getSort === 'function') {
+                sorts = $.extend({}, settings.stateHolder.getSort());
+            }
+            if (settings.renderMode === 'details') {
+                restoreColumnLayout();
+                resortLoaded();
+            }
+            if (settings.checkboxes && typeof settings.stateHolder.getChecked === 'function') {
+                settings.stateHolder.getChecked().forEach(function(path) {
+                    checked[path] = true;
+                });
             }
-        }
 
-        this.init = function(element) {
             // Create view container-list
             element.empty();
-            var container = $('<ul>').addClass('treeView').appendTo(element);
+            var main = element;
+            if (settings.preview === true) {
+                element.addClass('treeWithPreview');
+                main = $('<div>').addClass('treeMain').appendTo(element);
+                previewPane = $('<div>').appendTo(element);
+            } else if (settings.preview) {
+                previewPane = $(settings.preview).first();
+            }
+            if (previewPane != null) {
+                previewPane
+                    .addClass('treePreview')
+                    .attr({role: 'region', 'aria-label': 'Preview'});
+            }
+            if (settings.search || settings.refreshButton) {
+                toolbar = renderToolbar(main);
+            }
+            viewElement = view.init(main).on('keydown', keyDownHandler);
+            container
+                .attr('role', settings.renderMode === 'details' ? 'treegrid' : 'tree')
+                .on('click', 'input.treeCheckbox', function(event) {
+                    // Neither selection nor expansion is changed
+                    event.stopPropagation();
+                    var path = $(this).closest('span[path]').attr('path');
+                    focusPath(path);
+                    setChecked(path, checkState(path) !== 'true');
+                })
+                .on('click', 'span[path]', itemClickHandler)
+                .on('click', 'span.expandable', expandableNodeClickHandler)
+                .on('click', 'span.loadMore', function() {
+                    loadMore($(this).attr('parent'));
+                })
+                .on('dblclick', 'span[path]', function() {
+                    activate($(this).attr('path'));
+                })
+                .on('dragstart', 'span[draggable]', dragStartHandler)
+                .on('dragover', 'span[path]', dragOverHandler)
+                .on('drop', 'span[path]', dropHandler)
+                .on('dragover', function(event) {
+                    if (drag != null || isFileDrag(event)) {
+                        autoScroll(event.originalEvent.clientY);
+                    }
+                    // Files dropped on empty space are uploaded into root
+                    if (isFileDrag(event) && !event.isDefaultPrevented()
+                            && $(event.target).closest('span[path]').length == 0
+                            && canUploadTo(findNode(''))) {
+                        event.preventDefault();
+                        event.originalEvent.dataTransfer.dropEffect = 'copy';
+                        showDropTarget('');
+                    }
+                })
+                .on('drop', function(event) {
+                    if (isFileDrag(event) && !event.isDefaultPrevented()
+                            && $(event.target).closest('span[path]').length == 0) {
+                        event.preventDefault();
+                        clearDropTarget();
+                        uploadFiles(
+                            '',
+                            Array.prototype.slice.call(event.originalEvent.dataTransfer.files)
+                        );
+                    }
+                })
+                .on('dragleave', function(event) {
+                    if (!$.contains(container[0], event.relatedTarget)) {
+                        clearDropTarget();
+                    }
+                })
+                .on('dragend', function() {
+                    clearDropTarget();
+                    drag = null;
+                })
+                .on('click', 'button.uploadAction', uploadActionHandler)
+                .on('contextmenu', 'span[path]', function(event) {
+                    var path = $(this).attr('path');
+                    cancelLongPress();
+                    if (showContextMenu(path, event.clientX, event.clientY)) {
+                        focusPath(path);
+                        event.preventDefault();
+                    }
+                })
+                .on('touchstart', 'span[path]', touchStartHandler)
+                .on('touchmove', touchMoveHandler)
+                .on('touchend touchcancel', cancelLongPress);
+            if (settings.selectionMode === 'multiple') {
+                container.attr('aria-multiselectable', 'true');
+            }
 
             // And render current state
             var tree = settings.stateHolder.getCurrentState();
-            render(container, tree, true);
+            view.redraw();
+            updatePreview();
+            trigger('ready', [tree.fileData, tree.fileData.path]);
+            if (settings.reconcileState) {
+                reconcileState();
+            }
+            if (expandedPaths != null) {
+                expandPaths(expandedPaths);
+            }
+            if (settings.deepLink) {
+                $(window).on('hashchange', followDeepLink);
+                followDeepLink();
+            }
+            if (typeof settings.stateHolder.subscribe === 'function') {
+                unsubscribe = settings.stateHolder.subscribe(applyRemoteState);
+            }
+
+            var callbacks = readyCallbacks;
+            readyCallbacks = [];
+            callbacks.forEach(function(callback) {
+                callback();
+            });
         }
     }
 
@@ -367,9 +6771,20 @@
      */
     var defaultConfig = {
         /**
-         * Object which handles changes on file tree state.
+         * Object which handles changes on file tree state or name
+         * of built-in one:
+         * - `local` - state is stored in `window.localStorage`
+         *   (used by default)
+         * - `session` - state is stored in `window.sessionStorage`,
+         *   so it's kept only while browser tab is open
+         * - `memory` - state isn't stored anywhere
+         * - `indexeddb` - state is stored in IndexedDB, suitable
+         *   for huge trees which don't fit into Web Storage quota
+         * - `url` - paths of expanded nodes are stored in location
+         *   hash, so that the tree is opened in the same state by
+         *   link to the page
          *
-         * Must provide the following methods:
+         * Custom object must provide the following methods:
          * - `addNodes(parentPath, fileData)` (where `fileData`
          *   is an array of `FileData`(see below)) which is
          *   called when expandable file is opened (expanded)
@@ -378,6 +6793,32 @@
          * - `getCurrentState()` which returns tree representing
          *   current state
          *
+         * Optionally, it can also provide `saveSelection(fileData)`
+         * and `getSelection()` methods to store and restore array of
+         * selected `FileData` (see `persistSelection`), as well as
+         * `saveChecked(paths)` and `getChecked()` methods to store
+         * and restore checked paths (see `checkboxes`) and
+         * `saveSort(sorts)` and `getSort()` methods to store and
+         * restore object with sort options by directory path, and
+         * `saveColumns(layout)` and `getColumns()` methods to store
+         * and restore layout of columns (see `columns`).
+         *
+         * State holder which is shared between browser tabs can
+         * provide `subscribe(listener)` method, listener must be
+         * called with state tree every time it's changed by other
+         * tab. Method must return function which cancels subscription.
+         *
+         * Method `clear()` can be provided to remove stored state
+         * and selection at once (see `clearState` method of `Core`).
+         * Method `release()` can be provided to store pending changes
+         * and free resources, it's called when tree is destroyed.
+         *
+         * If state is restored asynchronously, state holder must
+         * provide `load(callback)` method which is called after data
+         * provider is loaded and before tree initialization. Callback
+         * can get array of paths which must be expanded once tree is
+         * initialized (they are loaded with data provider).
+         *
          * State tree must be built from nodes represented by
          * the following structure:
          *
@@ -387,9 +6828,317 @@
          *     children: <array_of_subnodes>
          * }
          * ```
+         *
+         * Children can also contain pseudo-nodes (see `isPseudoNode`)
+         * which must be stored as is.
          */
         stateHolder: null,
 
+        /**
+         * Whether nodes expanded or collapsed in other browser tab
+         * showing the same tree (with the same `treeId`) must be
+         * expanded or collapsed in this tab too. Only `local` state
+         * holder supports that, if it's `false` every tab keeps its
+         * own state and the last changed one is restored on reload
+         */
+        syncTabs: true,
+
+        /**
+         * Whether expanded nodes restored by state holder must be
+         * reloaded on initialization, so that files which no longer
+         * exist are removed and new ones are shown. If some restored
+         * nodes were removed, notice is shown above the tree and
+         * `fileTree:reconcile` event is triggered with array of
+         * their paths as third parameter
+         */
+        reconcileState: true,
+
+        /**
+         * Which nodes can be selected by user:
+         * - `none` - selection is disabled
+         * - `single` - only one node can be selected at a time
+         * - `multiple` - several nodes can be selected using
+         *   Ctrl/Cmd-click (toggle) and Shift-click (range)
+         *
+         * Every change of selection triggers `fileTree:selectionchange`
+         * event on tree holder element with array of selected
+         * `FileData` objects as extra parameter.
+         */
+        selectionMode: 'single',
+
+        /**
+         * Whether path of selected (or revealed with `reveal` method)
+         * node must be stored in location hash as `#path=<path>` (or
+         * `#path.<treeId>=<path>` if `treeId` is set), so that link
+         * to the page opens the tree with this node revealed and
+         * selected. Changes of location hash are followed too.
+         */
+        deepLink: false,
+
+        /**
+         * Whether selection must be stored by state holder
+         * (if it supports that) and restored on initialization
+         */
+        persistSelection: false,
+
+        /**
+         * Whether checkbox must be shown next to each node (it's
+         * toggled by click or `Space` key). Checking directory or
+         * archive checks all its descendants, partially checked
+         * directories are shown as indeterminate. Checked paths are
+         * stored by state holder if it supports that, see `getChecked`
+         * and `getCheckedFiles` methods.
+         */
+        checkboxes: false,
+
+        /**
+         * How children of directories are sorted:
+         * - `by` - `name` (natural order using current locale),
+         *   `size`, `modified` (using `size` and `modified` properties
+         *   of `FileData`, the latter is date string or timestamp)
+         *   or `type`
+         * - `order` - `asc` or `desc`
+         * - `foldersFirst` - whether directories and then archives
+         *   are placed before other files
+         * - `comparator` - optional function comparing two `FileData`
+         *   objects which is used instead of `by` key
+         *
+         * Every page of partially loaded directory (see `dataProvider`)
+         * is sorted on its own and appended after already shown items,
+         * the whole loaded listing is sorted again only if sort is
+         * changed or files are created, renamed or moved within it.
+         *
+         * User can change sort of single directory with context menu
+         * (or `sort` method), it's remembered by state holder if it
+         * supports that. Missing options are taken from defaults.
+         */
+        sort: {
+            by: 'name',
+            order: 'asc',
+            foldersFirst: true,
+            comparator: null
+        },
+
+        /**
+         * Whether search box must be shown above the tree. Search
+         * filters tree by file names, keeping ancestors of matched
+         * files visible. If data provider has method
+         * `search(query, options, callback, errorCallback)`, it's
+         * used to find files, otherwise only loaded nodes are searched.
+         *
+         * Search options are `mode` (see `searchMode`), `offset` and
+         * `limit` (see `searchPageSize`). Callback gets array of found
+         * `FileData` objects (with full paths) and, if only one page
+         * of results is returned, `{total: <number_of_found_files>}`
+         * as second argument. Results may include ancestors of found
+         * files, missing ones are shown as directories. Method can
+         * return object with `abort()` method to cancel outdated
+         * searches while user types.
+         */
+        search: false,
+
+        /**
+         * Delay (in milliseconds) after which collapsed directory
+         * is expanded while dragged file is held over it
+         */
+        dragExpandDelay: 800,
+
+        /**
+         * Actions of context menu which is shown on right click,
+         * long touch, `Shift+F10` or `ContextMenu` key. Action is
+         * either name of built-in action (`open`, `copyPath`,
+         * `expandAll`, `refresh`, `newFolder`, `rename`, `remove`,
+         * `sortByName`, `sortBySize`, `sortByModified`, `sortByType`),
+         * `'-'` for separator or object like
+         * ```
+         * {
+         *     label: 'Download',
+         *     icon: 'fas fa-download',         // Optional icon class
+         *     shortcut: 'Ctrl+D',              // Optional hint, can be function of `FileData`
+         *     visible: function(fileData) {},  // Optional
+         *     enabled: function(fileData) {},  // Optional
+         *     handler: function(fileDataList, fileData) {}
+         * }
+         * ```
+         * Predicates get `FileData` of the node menu is shown for.
+         * Handler gets `FileData` of selected nodes (the node itself
+         * gets selected if it isn't) and the node itself, `this` is
+         * tree element.
+         *
+         * To extend default actions, function getting their list and
+         * returning actions can be set. Browser menu is shown if this
+         * option is `null`.
+         */
+        contextMenu: [
+            'open', 'copyPath', 'expandAll', 'refresh', '-',
+            'newFolder', 'rename', 'remove', '-',
+            'sortByName', 'sortBySize', 'sortByModified', 'sortByType'
+        ],
+
+        /**
+         * Whether refresh button must be shown above the tree. It
+         * reloads all expanded directories, keeping them expanded
+         * (the same can be done for directory containing focused
+         * node with `F5` key or with `refresh` method). Once
+         * refreshing is done, `fileTree:refresh` event is triggered.
+         */
+        refreshButton: false,
+
+        /**
+         * Default search mode: `substring`, `glob` (`*` and `?`
+         * wildcards) or `regex`
+         */
+        searchMode: 'substring',
+
+        /**
+         * Delay (in milliseconds) between typing and searching
+         */
+        searchDelay: 300,
+
+        /**
+         * Number of search results requested from data provider
+         * at once
+         */
+        searchPageSize: 100,
+
+        /**
+         * URL of search service used by default data provider
+         * when `serviceUrl` is set (see `ServiceDataProvider.search`),
+         * only loaded files are searched if it's not specified
+         */
+        searchUrl: null,
+
+        /**
+         * URL of file contents used by default data provider when
+         * `serviceUrl` is set, `serviceUrl` is used if it's not
+         * specified (see `ServiceDataProvider.read`)
+         */
+        contentUrl: null,
+
+        /**
+         * URL of ZIP (or JAR) archive which contents are shown
+         * when neither `serviceUrl` nor `jsonLocation` is set, see
+         * `ZipDataProvider`. Server is expected to support HTTP
+         * `Range` requests, otherwise the whole archive is downloaded.
+         * Archive already loaded into memory can be passed as
+         * `ArrayBuffer` instead
+         */
+        zipUrl: null,
+
+        /**
+         * Whether ZIP (and JAR) archives listed by data provider
+         * must be browsed on client side: they are read with `read`
+         * method of data provider (see `ServiceDataProvider.read`)
+         * and their central directories are listed instead of
+         * requesting contents of archives from data provider
+         */
+        mountZipArchives: false,
+
+        /**
+         * Whether preview of selected file must be shown: `true` to
+         * show it next to the tree or element (selector) to render it
+         * into. Files are previewed according to `previewTypeMap`
+         * using `read(path, range, callback, errorCallback)` method
+         * of data provider (see `ServiceDataProvider.read`), metadata
+         * card is shown for other files.
+         */
+        preview: false,
+
+        /**
+         * Map of file MIME type (or wildcard like `image/*`) to
+         * previewer: `text`, `image`, `pdf` or `metadata`
+         */
+        previewTypeMap: {
+            "text/plain": "text",
+            "text/*": "text",
+            "application/json": "text",
+            "application/xml": "text",
+            "image/jpeg": "image",
+            "image/*": "image",
+            "application/pdf": "pdf"
+        },
+
+        /**
+         * Maximal number of bytes of text file shown by preview
+         */
+        previewTextLimit: 64 * 1024,
+
+        /**
+         * Maximal number of directory entries requested from
+         * service at once by default data provider when `serviceUrl`
+         * is set (see `ServiceDataProvider.list`). `null` means that
+         * directories are always loaded entirely
+         */
+        pageSize: null,
+
+        /**
+         * Whether directory listings loaded by data provider must
+         * be cached, so that collapsed and expanded again directory
+         * isn't loaded again. Either `true` or object which overrides
+         * some of the following options:
+         * - `ttl` - time (in milliseconds) while cached listing is
+         *   used
+         * - `maxEntries` - maximal number of cached listings, least
+         *   recently used ones are evicted first
+         * - `persist` - whether cache must be stored in IndexedDB,
+         *   so that it's available after page reload
+         *
+         * Cache can be invalidated with `invalidate` method.
+         */
+        cache: false,
+
+        /**
+         * How tree is rendered:
+         * - `tree` - the whole tree is rendered as nested lists
+         * - `virtual` - tree is rendered as flat list of fixed
+         *   height rows within scrollable viewport and only rows
+         *   visible in viewport are present in DOM. Suitable for
+         *   directories with thousands of entries, holder element
+         *   must have fixed height
+         * - `details` - tree is rendered as nested lists with
+         *   columns (tree-grid), see `columns`
+         */
+        renderMode: 'tree',
+
+        /**
+         * Columns shown after name in `details` render mode. Column
+         * is either name of built-in one (`size`, `compressedSize`,
+         * `modified`, `type`), `attributes.<name>` for attribute of
+         * `FileData` or object like
+         * ```
+         * {
+         *     id: 'owner',
+         *     label: 'Owner',
+         *     width: 120,                               // In pixels
+         *     align: 'right',                           // Optional
+         *     render: function(fileData, settings) {},  // Returns text
+         *     compare: function(first, second) {}      // Optional, makes column sortable
+         * }
+         * ```
+         * Clicking column header sorts the whole tree by it, its
+         * border can be dragged to resize it and columns can be
+         * hidden with context menu of header. Layout is stored by
+         * state holder (so it's kept per `treeId`).
+         */
+        columns: ['size', 'modified', 'type'],
+
+        /**
+         * How dates are shown in `details` render mode: `absolute`
+         * or `relative` (recent dates are shown like `5 min ago`)
+         */
+        dateFormat: 'relative',
+
+        /**
+         * Height of row (in pixels) in `virtual` render mode
+         */
+        rowHeight: 22,
+
+        /**
+         * Indentation (in pixels) of every tree level in `virtual`
+         * render mode
+         */
+        rowIndent: 20,
+
         /**
          * Identifier of file tree. Used internally to differentiate
          * different trees, so that it's possible to use several
@@ -399,36 +7148,200 @@
 
         /**
          * Object which provides loadable data, must provide
-         * only one method: `list(path)` which returns array
-         * of `FileData` objects:
+         * two methods:
+         * - `load(callback)` which is called once before tree
+         *   initialization
+         * - `list(path, callback)` which passes to callback array
+         *   of tree nodes (see `stateHolder`) built from `FileData`
+         *   objects:
          *
          * ```
          * {
          *     path: "<file_path>",
          *     type: "<file_type>",
-         *     expandable: <boolean>
+         *     expandable: <boolean>,
+         *     size: <size_in_bytes>,                  // Optional
+         *     compressedSize: <size_within_archive>,  // Optional
+         *     modified: "<date>",                     // Optional, string or timestamp
+         *     attributes: {<name>: <value>}           // Optional
          * }
          * ```
+         *
+         * Optional properties are shown in `details` render mode and
+         * used for sorting, they (as well as any other properties)
+         * are passed to tree and state holder unchanged.
+         *
+         * Both methods get error callback as the last argument,
+         * it must be called with error object (e.g. `jqXHR`) if
+         * data cannot be loaded.
+         *
+         * If directory is too big to be listed at once, `list` can
+         * pass only the first page of it and `{cursor: <cursor>,
+         * total: <total_count_if_known>}` as second argument. In that
+         * case "load more" item is shown and provider must implement
+         * `listMore(path, cursor, callback, errorCallback)` method
+         * which loads the next page the same way.
+         *
+         * Optionally, it can provide `release()` method which is
+         * called when tree is destroyed to free loaded data.
+         *
+         * Files can be changed by user (with context menu, `F2` and
+         * `Delete` keys or API) if provider implements the following
+         * methods which pass changed `FileData` to callback:
+         * - `createDirectory(parentPath, name, callback, errorCallback)`
+         * - `rename(path, newName, callback, errorCallback)`
+         * - `remove(path, callback, errorCallback)`
+         *
+         * Files can be moved and copied between directories by
+         * drag-and-drop (copied if `Ctrl` is held) or API if provider
+         * implements `move(path, newPath, callback, errorCallback)`
+         * and `copy(path, newPath, callback, errorCallback)` methods
+         * which pass `FileData` of moved file or the copy to callback.
+         *
+         * Files dropped from desktop onto directory are uploaded if
+         * provider implements
+         * `upload(path, files, progress, callback, errorCallback, overwrite)`
+         * method which reports progress by `progress(loaded, total)`,
+         * passes array of `FileData` of uploaded files to callback and
+         * returns request with `abort()` method.
+         *
+         * Contents of files are read for preview and browsing of
+         * archives (see `mountZipArchives`) if provider implements
+         * `read(path, range, callback, errorCallback)` method (see
+         * `ServiceDataProvider.read`).
+         *
+         * Files with `readOnly` property of `FileData` set to `true`
+         * and files within archives cannot be changed.
          */
         dataProvider: null,
 
         /**
-         * Map of file MIME type to appropriate icons classes
+         * Function which resolves icon of file before icon maps,
+         * gets `FileData` and returns either `null` to use maps,
+         * or icon classes or SVG markup, or object
+         * `{icon: <classes_or_svg>, url: <image_url>, badge: <badge_text>}`
+         * (all properties are optional, `url` is used instead of
+         * `icon` if both are set, `badge: null` removes badge found
+         * by badge maps)
+         */
+        iconResolver: null,
+
+        /**
+         * Map of file MIME type (exact one or wildcard like
+         * `image/*`) to appropriate icons classes, files which
+         * types aren't found are looked up by extension in
+         * `extensionToIconClassMap`
          */
         typeToIconClassMap: {
             "directory": "fas fa-folder",
             "application/pdf": "fas fa-file-pdf",
-            "application/x-rar": "fas fa-file-archive rar",
-            "application/x-rar-compressed": "fas fa-file-archive rar",
-            "application/zip": "fas fa-file-archive zip",
-            "application/x-zip-compressed": "fas fa-file-archive zip",
-            "application/x-java-archive": "fas fa-file-archive jar",
-            "application/java-archive": "fas fa-file-archive jar",
-            "<unknown_type>": "fas fa-file",
-            "image/jpeg": "fas fa-file-image",
-            "text/plain": "fas fa-file-alt"
+            "application/x-rar": "fas fa-file-archive",
+            "application/x-rar-compressed": "fas fa-file-archive",
+            "application/zip": "fas fa-file-archive",
+            "application/x-zip-compressed": "fas fa-file-archive",
+            "application/x-java-archive": "fas fa-file-archive",
+            "application/java-archive": "fas fa-file-archive",
+            "application/json": "fas fa-file-code",
+            "application/xml": "fas fa-file-code",
+            "text/csv": "fas fa-file-csv",
+            "text/html": "fas fa-file-code",
+            "text/css": "fas fa-file-code",
+            "text/javascript": "fas fa-file-code",
+            "text/*": "fas fa-file-alt",
+            "image/*": "fas fa-file-image",
+            "audio/*": "fas fa-file-audio",
+            "video/*": "fas fa-file-video",
+            "<unknown_type>": "fas fa-file"
         },
-        defaultIconClass: "fas fa-file"
+
+        /**
+         * Map of file extension (lower case, without dot)
+         * to appropriate icons classes
+         */
+        extensionToIconClassMap: {
+            "txt": "fas fa-file-alt",
+            "log": "fas fa-file-alt",
+            "md": "fas fa-file-alt",
+            "csv": "fas fa-file-csv",
+            "pdf": "fas fa-file-pdf",
+            "doc": "fas fa-file-word",
+            "docx": "fas fa-file-word",
+            "xls": "fas fa-file-excel",
+            "xlsx": "fas fa-file-excel",
+            "ppt": "fas fa-file-powerpoint",
+            "pptx": "fas fa-file-powerpoint",
+            "png": "fas fa-file-image",
+            "jpg": "fas fa-file-image",
+            "jpeg": "fas fa-file-image",
+            "gif": "fas fa-file-image",
+            "svg": "fas fa-file-image",
+            "webp": "fas fa-file-image",
+            "mp3": "fas fa-file-audio",
+            "wav": "fas fa-file-audio",
+            "ogg": "fas fa-file-audio",
+            "mp4": "fas fa-file-video",
+            "webm": "fas fa-file-video",
+            "mov": "fas fa-file-video",
+            "html": "fas fa-file-code",
+            "css": "fas fa-file-code",
+            "js": "fas fa-file-code",
+            "ts": "fas fa-file-code",
+            "json": "fas fa-file-code",
+            "xml": "fas fa-file-code",
+            "java": "fas fa-file-code",
+            "py": "fas fa-file-code",
+            "c": "fas fa-file-code",
+            "cpp": "fas fa-file-code",
+            "h": "fas fa-file-code",
+            "sh": "fas fa-file-code",
+            "zip": "fas fa-file-archive",
+            "jar": "fas fa-file-archive",
+            "war": "fas fa-file-archive",
+            "rar": "fas fa-file-archive",
+            "7z": "fas fa-file-archive",
+            "gz": "fas fa-file-archive",
+            "tar": "fas fa-file-archive"
+        },
+
+        /**
+         * Icon classes of files which are found
+         * neither by type nor by extension
+         */
+        defaultIconClass: "fas fa-file",
+
+        /**
+         * Map of file MIME type (exact one or wildcard) to short
+         * text shown over icon, files which types aren't found are
+         * looked up by extension in `extensionToBadgeMap`
+         */
+        typeToBadgeMap: {
+            "application/x-rar": "rar",
+            "application/x-rar-compressed": "rar",
+            "application/zip": "zip",
+            "application/x-zip-compressed": "zip",
+            "application/x-java-archive": "jar",
+            "application/java-archive": "jar"
+        },
+
+        /**
+         * Map of file extension (lower case, without dot)
+         * to short text shown over icon
+         */
+        extensionToBadgeMap: {
+            "zip": "zip",
+            "jar": "jar",
+            "war": "war",
+            "rar": "rar",
+            "7z": "7z",
+            "gz": "gz",
+            "tar": "tar"
+        }
+    };
+
+    var defaultCacheOptions = {
+        ttl: 60000,
+        maxEntries: 500,
+        persist: false
     };
 
     /**
@@ -437,33 +7350,229 @@
      * DOM element. Optionally, gets configuration which can
      * override default configuration (see `defaultConfig` for
      * details).
+     *
+     * Once initialized, tree can be controlled by calling the
+     * same function with method name and its arguments, e.g.
+     * `$(element).fileTree('reveal', 'some/deep/path')`. See
+     * public methods of `Core` for the list of such methods.
+     *
+     * Tree notifies about its changes with the following events
+     * triggered on the element, their handlers get `FileData` of
+     * affected node and its path as extra parameters:
+     * - `fileTree:ready` - tree is initialized (root node is passed)
+     * - `fileTree:beforeexpand` - node is going to be expanded,
+     *   expanding can be cancelled with `event.preventDefault()`
+     * - `fileTree:load` - children of node are loaded, array of
+     *   their `FileData` is passed as third parameter
+     * - `fileTree:loaderror` - children of node (or the whole tree)
+     *   cannot be loaded, error is passed as third parameter
+     * - `fileTree:expand` - node is expanded
+     * - `fileTree:collapse` - node is collapsed
+     * - `fileTree:refresh` - expanded subtree of node is reloaded
+     * - `fileTree:reconcile` - restored state is validated and some
+     *   of its nodes were removed (see `reconcileState`)
+     * - `fileTree:create` - directory is created
+     * - `fileTree:rename` - file is renamed, its old path is passed
+     *   as third parameter
+     * - `fileTree:remove` - file is removed
+     * - `fileTree:move` and `fileTree:copy` - file is moved or copied
+     *   (e.g. with drag-and-drop), its old path is passed as third
+     *   parameter
+     * - `fileTree:upload` - file dropped from desktop is uploaded
+     * - `fileTree:operationerror` - file operation failed and was
+     *   rolled back, error is passed as third parameter
+     * - `fileTree:activate` - file is opened by double click or
+     *   `Enter` key
+     * - `fileTree:selectionchange` - selection is changed (see
+     *   `selectionMode`)
+     * - `fileTree:sort` - sort of directory is changed, its sort
+     *   options are passed as third parameter
+     * - `fileTree:checkchange` - nodes are checked or unchecked,
+     *   minimal set of checked paths is passed (see `checkboxes`)
      */
     $.fn.fileTree = function(config) {
+        if (typeof config === 'string') {
+            return callMethod(this, config, Array.prototype.slice.call(arguments, 1));
+        }
+        return this.each(function(index, e) {
+            var element = $(e);
+            var previous = element.data('fileTree');
+            if (previous != null) {
+                previous.destroy();
+            }
+            var settings = createSettings(config);
+            var core = new Core(settings, element);
+            element
+                .data('fileTree', core)
+                .append($('<div>').addClass('loader-big'));
+            settings.dataProvider.load(function() {
+                if (typeof settings.stateHolder.load === 'function') {
+                    settings.stateHolder.load(function(expandedPaths) {
+                        core.init(element, expandedPaths);
+                    });
+                } else {
+                    core.init(element);
+                }
+            }, function(error) {
+                element.children('.loader-big').remove();
+                var root = settings.stateHolder.getCurrentState().fileData;
+                element.trigger('fileTree:loaderror', [root, root.path, error]);
+            });
+        });
+    }
+
+    /**
+     * Removes state of tree with specified `treeId` stored by
+     * built-in state holders or states of all trees if `treeId`
+     * isn't specified. Trees which are already shown aren't
+     * affected, use `clearState` method for them
+     */
+    $.fn.fileTree.clearStoredState = function(treeId) {
+        var prefix = 'ru.kozobrodov.fileTree$';
+        [window.localStorage, window.sessionStorage].forEach(function(storage) {
+            for (var i = storage.length - 1; i >= 0; i--) {
+                var key = storage.key(i);
+                if (treeId == null
+                        ? key.indexOf(prefix) == 0
+                        : key === prefix + treeId
+                            || key === prefix + treeId + '$selection'
+                            || key === prefix + treeId + '$checked'
+                            || key === prefix + treeId + '$sort'
+                            || key === prefix + treeId + '$columns') {
+                    storage.removeItem(key);
+                }
+            }
+        });
+        Object.keys(getHashParameters()).forEach(function(name) {
+            if (treeId == null
+                    ? name === 'expanded' || name.indexOf('expanded.') == 0
+                    : name === (treeId !== '' ? 'expanded.' + treeId : 'expanded')) {
+                setHashParameter(name, null);
+            }
+        });
+        if (window.indexedDB) {
+            openIndexedDb('ru.kozobrodov.fileTree.state', function(db) {
+                if (db == null) {
+                    return;
+                }
+                var store = db.transaction('entries', 'readwrite').objectStore('entries');
+                if (treeId == null) {
+                    store.clear();
+                } else {
+                    store.delete(treeId);
+                    store.delete(treeId + '$selection');
+                    store.delete(treeId + '$checked');
+                    store.delete(treeId + '$sort');
+                    store.delete(treeId + '$columns');
+                }
+            });
+        }
+    }
+
+    var methods = [
+        'expand', 'collapse', 'reveal', 'refresh', 'search', 'invalidate',
+        'createDirectory', 'rename', 'remove', 'move', 'copy', 'sort', 'check',
+        'uncheck', 'getChecked', 'getCheckedFiles', 'getState', 'clearState',
+        'destroy'
+    ];
+
+    /**
+     * Calls public method of `Core` for every element of the
+     * set. Returns value of the first call that has returned
+     * something or the set itself
+     */
+    function callMethod(elements, method, args) {
+        if (methods.indexOf(method) < 0) {
+            console.error('Unknown file tree method: ' + method);
+            return elements;
+        }
+        var result;
+        elements.each(function(index, e) {
+            var core = $(e).data('fileTree');
+            if (core == null) {
+                console.error('File tree is not initialized on element', e);
+                return;
+            }
+            result = core[method].apply(core, args);
+            return result === undefined;
+        });
+        return result !== undefined ? result : elements;
+    }
+
+    /**
+     * Merges configuration with default one and creates
+     * state holder and data provider if they aren't set
+     */
+    function createSettings(config) {
         var settings = $.extend({}, defaultConfig, config);
+        settings.sort = $.extend({}, defaultConfig.sort, settings.sort);
+        if (typeof settings.contextMenu === 'function') {
+            settings.contextMenu = settings.contextMenu(defaultConfig.contextMenu.slice());
+        }
 
         // Set state holder
         if (settings.hasOwnProperty('stateHolder') && settings.stateHolder == null) {
-            settings.stateHolder = getLocalStorageStateHolder(settings.treeId);
+            settings.stateHolder = 'local';
+        }
+        switch (settings.stateHolder) {
+            case 'local':
+                settings.stateHolder = getWebStorageStateHolder(
+                    window.localStorage,
+                    settings.treeId,
+                    settings.syncTabs
+                );
+                break;
+            case 'session':
+                settings.stateHolder = getWebStorageStateHolder(window.sessionStorage, settings.treeId);
+                break;
+            case 'memory':
+                settings.stateHolder = getMemoryStateHolder();
+                break;
+            case 'indexeddb':
+                settings.stateHolder = getIndexedDbStateHolder(settings.treeId);
+                break;
+            case 'url':
+                settings.stateHolder = getUrlStateHolder(settings.treeId);
+                break;
         }
 
         // Set data provider
         if (settings.hasOwnProperty('dataProvider') && settings.dataProvider == null) {
             if (settings.hasOwnProperty('serviceUrl') && settings.serviceUrl != null) {
-                settings.dataProvider = getServiceDataProvider(settings.serviceUrl);
+                settings.dataProvider = getServiceDataProvider(
+                    settings.serviceUrl,
+                    settings.searchUrl,
+                    settings.pageSize,
+                    settings.contentUrl
+                );
             } else if (
                     settings.hasOwnProperty('jsonLocation')
                     && settings.jsonLocation != null
             ) {
                settings.dataProvider = getJsonDataProvider(settings.jsonLocation);
+            } else if (settings.zipUrl != null) {
+                settings.dataProvider = getZipDataProvider(settings.zipUrl instanceof ArrayBuffer
+                    ? getBufferByteSource(settings.zipUrl)
+                    : settings.zipUrl);
             } else {
                 console.error('Data provider cannot be found or chosen');
             }
         }
-        return this.each(function(index, e) {
-            $(e).append($('<div>').addClass('loader-big'))
-            settings.dataProvider.load(function() {
-                new Core(settings).init($(e));
-            });
-        });
+
+        // Wrap data provider with cache
+        if (settings.cache) {
+            settings.dataProvider = getCachingDataProvider(
+                settings.dataProvider,
+                $.extend({}, defaultCacheOptions, settings.cache),
+                settings.treeId
+            );
+        }
+
+        // Wrap data provider to browse archives (after cache,
+        // so that invalidation reaches both of them)
+        if (settings.mountZipArchives && typeof settings.dataProvider.read === 'function') {
+            settings.dataProvider = getZipMountingDataProvider(settings.dataProvider);
+        }
+        return settings;
     }
 }( jQuery ));
\ No newline at end of file